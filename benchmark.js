@@ -0,0 +1,56 @@
+import { performance } from 'perf_hooks';
+
+import { applyPatch } from './src/index.js';
+
+// Compares applying a patch in one go, which copies each modified container
+// once, to applying it one operation at a time, which copies every container
+// along the path of each operation, like applyPatch used to do
+
+const itemCount = 10000;
+const operationCount = 1000;
+const rounds = 10;
+
+const document = {
+  items: Array.from({ length: itemCount }, (_, i) => ({
+    id: i,
+    name: `item ${i}`,
+    tags: ['a', 'b'],
+  })),
+};
+
+const patch = Array.from({ length: operationCount }, (_, i) => ({
+  op: 'replace',
+  path: `/items/${(i * 7) % itemCount}/name`,
+  value: `renamed ${i}`,
+}));
+
+function measure(description, apply) {
+  apply(); // Warm-up
+
+  const start = performance.now();
+  for (let i = 0; i < rounds; ++i) {
+    apply();
+  }
+  const duration = (performance.now() - start) / rounds;
+
+  console.log(`${description}: ${duration.toFixed(2)} ms`);
+  return duration;
+}
+
+console.log(
+  `${operationCount} replacements in an array of ${itemCount} items, average of ${rounds} rounds`
+);
+
+const perOperation = measure('one operation at a time', () => {
+  let modified = document;
+  for (const operation of patch) {
+    modified = applyPatch(modified, [operation]);
+  }
+  return modified;
+});
+
+const wholePatch = measure('whole patch at once', () =>
+  applyPatch(document, patch)
+);
+
+console.log(`speed-up: ${(perOperation / wholePatch).toFixed(1)}x`);
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+
+import {
+  applyPatch,
+  createPatch,
+  JsonPatchError,
+  validatePatch,
+} from '../src/index.js';
+
+const usage = `Usage: minimal-json-patch <command> [<file>...]
+
+Commands:
+  apply <document> <patch>  Apply the patch and print the resulting document
+  test <document> <patch>   Only tell by the exit code whether the patch applies
+  validate <patch>          Check the patch without a document
+  diff <before> <after>     Print a patch from one document to another
+
+Files are read as JSON, with - or a missing last file meaning standard input.
+
+Exit codes:
+  0  Success
+  1  A test operation failed
+  2  The patch does not apply to the document
+  3  The patch is invalid
+  4  A file could not be read or is not JSON
+  5  Bad arguments
+`;
+
+const exitCodes = {
+  testFailed: 1,
+  notApplicable: 2,
+  invalidPatch: 3,
+  badInput: 4,
+  badArguments: 5,
+};
+
+const commands = {
+  apply: { arity: 2, run: runApply },
+  test: { arity: 2, run: runTest },
+  validate: { arity: 1, run: runValidate },
+  diff: { arity: 2, run: runDiff },
+};
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+function readJson(file) {
+  let text;
+  try {
+    text = readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (e) {
+    throw new CliError(
+      `cannot read ${file === '-' ? 'standard input' : file}: ${e.message}`,
+      exitCodes.badInput
+    );
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new CliError(
+      `${file === '-' ? 'standard input' : file} is not JSON: ${e.message}`,
+      exitCodes.badInput
+    );
+  }
+}
+
+function formatError(error) {
+  const lines = [error.message];
+
+  for (const key of [
+    'code',
+    'operationIndex',
+    'operation',
+    'pointer',
+    'resolvedPrefix',
+    'token',
+  ]) {
+    if (key in error) {
+      lines.push(`  ${key}: ${JSON.stringify(error[key])}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+// Structural problems get reported all at once, like with `validate`
+function assertValid(patch) {
+  const errors = validatePatch(patch);
+
+  if (errors.length > 0) {
+    throw new CliError(
+      errors.map(formatError).join('\n'),
+      exitCodes.invalidPatch
+    );
+  }
+}
+
+function applyOrThrow(document, patch) {
+  assertValid(patch);
+
+  try {
+    return applyPatch(document, patch);
+  } catch (e) {
+    if (!(e instanceof JsonPatchError)) {
+      throw e;
+    }
+
+    throw new CliError(
+      formatError(e),
+      e.code === 'TEST_FAILED' ? exitCodes.testFailed : exitCodes.notApplicable
+    );
+  }
+}
+
+function runApply([documentFile, patchFile]) {
+  printJson(applyOrThrow(readJson(documentFile), readJson(patchFile)));
+}
+
+function runTest([documentFile, patchFile]) {
+  try {
+    applyOrThrow(readJson(documentFile), readJson(patchFile));
+  } catch (e) {
+    if (e instanceof CliError && e.exitCode !== exitCodes.badInput) {
+      // Only the exit code tells what happened
+      throw new CliError('', e.exitCode);
+    }
+    throw e;
+  }
+}
+
+function runValidate([patchFile]) {
+  assertValid(readJson(patchFile));
+}
+
+function runDiff([beforeFile, afterFile]) {
+  printJson(createPatch(readJson(beforeFile), readJson(afterFile)));
+}
+
+function main(args) {
+  const [commandName, ...files] = args;
+
+  if (commandName === '--help' || commandName === '-h') {
+    process.stdout.write(usage);
+    return;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(commands, commandName)) {
+    throw new CliError(
+      commandName === undefined
+        ? 'missing command'
+        : `unknown command: ${commandName}`,
+      exitCodes.badArguments
+    );
+  }
+
+  const command = commands[commandName];
+
+  if (files.length === command.arity - 1) {
+    files.push('-');
+  }
+
+  if (files.length !== command.arity) {
+    throw new CliError(
+      `${commandName} takes ${command.arity} file${
+        command.arity === 1 ? '' : 's'
+      }, got ${files.length}`,
+      exitCodes.badArguments
+    );
+  }
+
+  if (files.filter((file) => file === '-').length > 1) {
+    throw new CliError(
+      'only one file can be read from standard input',
+      exitCodes.badArguments
+    );
+  }
+
+  command.run(files);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  if (!(e instanceof CliError)) {
+    throw e;
+  }
+
+  // Context is indented under each message
+  for (const line of e.message ? e.message.split('\n') : []) {
+    process.stderr.write(
+      line.startsWith(' ') ? `${line}\n` : `minimal-json-patch: ${line}\n`
+    );
+  }
+  if (e.exitCode === exitCodes.badArguments) {
+    process.stderr.write(`\n${usage}`);
+  }
+  process.exitCode = e.exitCode;
+}
@@ -0,0 +1,300 @@
+import { createServer } from 'http';
+import {
+  expectAssignable,
+  expectError,
+  expectNotAssignable,
+  expectType,
+} from 'tsd';
+
+import {
+  applyPatch,
+  applyPatchStream,
+  Change,
+  computeETag,
+  createObserver,
+  createPatch,
+  createPatcher,
+  createPatchHandler,
+  Difference,
+  EscapedToken,
+  findDifferences,
+  getByRelativePointer,
+  handlePatchRequest,
+  isEqual,
+  JsonPatchError,
+  JsonPatchErrorCode,
+  JsonSchema,
+  JsonValue,
+  Limits,
+  Operation,
+  parseRelativePointer,
+  PatchDocument,
+  PatchResponse,
+  PatchStore,
+  PathOf,
+  RelativePointer,
+  TypedOperation,
+  ValueAt,
+} from '.';
+
+interface Document {
+  user: { name: string; age?: number; 'a/b~c': boolean };
+  tags: string[];
+  matrix: number[][];
+}
+
+declare const document: Document;
+
+// Untyped operations
+
+expectType<JsonValue>(
+  applyPatch({ a: 1 }, [{ op: 'replace', path: '/a', value: 'anything' }])
+);
+expectType<JsonValue>(applyPatch(document, createPatch(document, {})));
+expectAssignable<Operation>({ op: 'move', from: '/a', path: '/b' });
+expectNotAssignable<Operation>({ op: 'move', path: '/b' });
+expectNotAssignable<Operation>({ op: 'add', path: '/a' });
+expectNotAssignable<Operation>({ op: 'increment', path: '/a' });
+
+// Typed operations
+
+expectType<Document>(
+  applyPatch<Document>(document, [
+    { op: 'replace', path: '/user/name', value: 'Ada' },
+    { op: 'add', path: '/user/age', value: 36 },
+    { op: 'add', path: '/tags/-', value: 'new' },
+    { op: 'remove', path: '/tags/0' },
+    { op: 'test', path: '/matrix/1/2', value: 3 },
+    { op: 'copy', from: '/user/name', path: '/tags/0' },
+    { op: 'move', from: '/matrix/0', path: '/matrix/-' },
+    { op: 'replace', path: '/user/a~1b~0c', value: true },
+    { op: 'replace', path: '', value: document },
+  ])
+);
+
+expectError(
+  applyPatch<Document>(document, [
+    { op: 'replace', path: '/user/name', value: 42 },
+  ])
+);
+expectError(
+  applyPatch<Document>(document, [
+    { op: 'replace', path: '/user/nickname', value: 'Ada' },
+  ])
+);
+expectError(
+  applyPatch<Document>(document, [
+    { op: 'replace', path: '/tags/-', value: '' },
+  ])
+);
+expectError(
+  applyPatch<Document>(document, [{ op: 'add', path: '/tags/x', value: '' }])
+);
+expectError(
+  applyPatch<Document>(document, [{ op: 'remove', path: '/user/a/b~c' }])
+);
+
+expectAssignable<TypedOperation<Document>>({
+  op: 'add',
+  path: '/matrix/0/-',
+  value: 1,
+});
+expectNotAssignable<TypedOperation<Document>>({
+  op: 'add',
+  path: '/matrix/0/-',
+  value: [1],
+});
+
+expectAssignable<PathOf<Document>>('/matrix/0/1');
+expectNotAssignable<PathOf<Document>>('/matrix/-');
+expectType<string>({} as ValueAt<Document, '/user/name'>);
+expectType<number[]>({} as ValueAt<Document, '/matrix/3'>);
+expectType<'a~1b~0c'>({} as EscapedToken<'a/b~c'>);
+
+// Access control
+
+expectType<JsonValue>(
+  applyPatch({ a: 1 }, [{ op: 'remove', path: '/a' }], {
+    access: { allow: ['/a/**'], deny: ['/a/b'] },
+  })
+);
+expectError(applyPatch({ a: 1 }, [], { access: { allow: '/a' } }));
+
+// Prototype pollution
+
+expectType<JsonValue>(applyPatch({}, [], { rejectUnsafeKeys: true }));
+expectError(applyPatch({}, [], { rejectUnsafeKeys: 'yes' }));
+
+// Resource limits
+
+expectType<JsonValue>(
+  applyPatch({}, [], {
+    limits: { maxOperations: 100, maxDocumentSize: 10000 },
+  })
+);
+expectError(applyPatch({}, [], { limits: { maxOperations: '100' } }));
+expectType<keyof Limits | undefined>(new JsonPatchError('').limit);
+
+// Schema validation
+
+const schema: JsonSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: ['string', 'null'], maxLength: 10 } },
+  additionalProperties: false,
+};
+expectType<JsonValue>(applyPatch({}, [], { schema }));
+expectType<JsonValue>(applyPatch({}, [], { schema: true }));
+expectError(applyPatch({}, [], { schema: { type: 'text' } }));
+expectType<string | undefined>(new JsonPatchError('').schemaPointer);
+
+// Custom operations
+
+const { applyPatch: applyCustomPatch } = createPatcher({
+  operations: {
+    increment: (document, pointer, operation, { get, replace }) =>
+      replace(document, pointer, (get(document, pointer) as number) + 1),
+  },
+});
+
+expectType<JsonValue>(
+  applyCustomPatch({ a: 1 }, [
+    { op: 'increment', path: '/a' },
+    { op: 'add', path: '/b', value: 2 },
+  ])
+);
+
+// Comparing values
+
+expectType<boolean>(isEqual(1, 2, { tolerance: 1 }));
+expectError(isEqual(1, 2, { differences: [] }));
+expectType<Difference[]>(findDifferences({ a: 1 }, { a: 2 }, { tolerance: 1 }));
+expectError(isEqual('a', 'b', { normalization: 'nfc' }));
+expectType<JsonValue>(
+  applyPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 1 }], {
+    equality: { tolerance: 0.5 },
+  })
+);
+
+// Versioned documents
+
+const patchDocument = new PatchDocument<Document>(document, {
+  historyLimit: 10,
+});
+
+expectType<Document>(
+  patchDocument.applyPatch([{ op: 'add', path: '/tags/-', value: 'new' }])
+);
+expectError(
+  patchDocument.applyPatch([{ op: 'add', path: '/tags/-', value: 1 }])
+);
+expectType<Document>(patchDocument.checkout(0));
+expectType<JsonValue>(
+  new PatchDocument({ a: 1 } as JsonValue).applyPatch([
+    { op: 'replace', path: '/a/b/c', value: 'anything' },
+  ])
+);
+expectType<JsonValue>(
+  new PatchDocument({ a: 1 }).applyPatch([{ op: 'add', path: '/b', value: 2 }])
+);
+expectType<PatchDocument<JsonValue>>(new PatchDocument({ a: 1 }));
+expectError(
+  new PatchDocument<Document>({ a: 1 })
+);
+
+// Streaming patches
+
+expectType<Promise<JsonValue>>(
+  applyPatchStream({}, ['[]\n'], {
+    checkpointEvery: 10,
+    onCheckpoint: ({ document, line, operationCount }) => {
+      expectType<JsonValue>(document);
+      expectType<number>(line + operationCount);
+    },
+  })
+);
+expectError(applyPatchStream({}, 1));
+
+// Relative pointers
+
+expectType<RelativePointer>(parseRelativePointer('1+1/name'));
+expectType<JsonValue>(getByRelativePointer(document, '/tags/0', '1#'));
+expectError(getByRelativePointer(document, '/tags/0', 1));
+
+// Observing patches
+
+const observer = createObserver();
+const unsubscribe = observer.subscribe('/items/*', (changes) => {
+  expectType<Change[]>(changes);
+});
+
+expectType<() => void>(unsubscribe);
+expectType<JsonValue>(observer.applyPatch({}, []));
+expectError(observer.subscribe('/items/*'));
+
+// Errors
+
+const error = new JsonPatchError('message', 'PATH_NOT_FOUND');
+
+expectAssignable<Error>(error);
+expectType<JsonPatchErrorCode | undefined>(error.code);
+expectType<number | undefined>(error.operationIndex);
+
+// Deeply nested types are only checked down to a depth
+
+type Deep = {
+  a: { a: { a: { a: { a: { a: { a: { a: { a: { a: 1 } } } } } } } } };
+};
+
+expectAssignable<TypedOperation<Deep>>({
+  op: 'replace',
+  path: '/a/a/a/a/a/a/a/a/a/a',
+  value: 'anything',
+});
+expectNotAssignable<TypedOperation<Deep>>({
+  op: 'replace',
+  path: '/a/a/a',
+  value: 'anything',
+});
+
+// HTTP PATCH
+
+const documents = new Map<string, JsonValue>();
+const store: PatchStore = {
+  load: async (key) => documents.get(key),
+  save: async (key, document) => {
+    documents.set(key, document);
+  },
+};
+
+expectType<string>(computeETag({ a: 1 }));
+expectType<Promise<PatchResponse>>(
+  handlePatchRequest(
+    {
+      headers: { 'content-type': 'application/json-patch+json' },
+      body: '[]',
+      key: '/doc',
+    },
+    { store, limits: { maxOperations: 100 } }
+  )
+);
+expectError(handlePatchRequest({ key: '/doc' }, { limits: {} }));
+
+expectAssignable<PatchStore>({
+  load: async (key: string) => documents.get(key),
+  save: async (key: string, document: JsonValue, { etag }: { etag: string }) =>
+    etag === computeETag(documents.get(key) ?? null) &&
+    documents.set(key, document) !== undefined,
+});
+
+const handler = createPatchHandler({
+  store,
+  getKey: (request) => request.url || '/',
+  maxBodySize: 1 << 20,
+  onError: (error, request) => console.error(request.url, error),
+});
+expectError(createPatchHandler({ store, onError: 'log' }));
+createServer(handler);
+createServer((request, response) => {
+  handler(request, response, () => response.end());
+});
@@ -0,0 +1,244 @@
+import { JsonPatchError } from './json-patch-error.js';
+import { arrayIndexPattern, parsePointer } from './pointer.js';
+import { isObject } from './util.js';
+
+// Access rules are pointers in which "*" stands for any single token and "**"
+// for any number of them. They're checked against the pointers of the patch
+// alone, before anything gets applied, so array indices can't be told apart
+// from object keys that look like them: whatever looks like an index is taken
+// to shift the elements after it when inserted or removed.
+
+const anyToken = '*';
+const anyTokens = '**';
+
+// A location is a list of tokens, each of which is either a plain token or,
+// when `shiftsFrom` is given, any index from that one up
+function toLocation(pointer, { shifts }) {
+  const tokens = parsePointer(pointer).map((token) => ({ token }));
+  const last = tokens[tokens.length - 1];
+
+  if (shifts && last) {
+    if (last.token === '-') {
+      last.shiftsFrom = 0;
+    } else if (arrayIndexPattern.test(last.token)) {
+      last.shiftsFrom = parseInt(last.token, 10);
+    }
+  }
+
+  return tokens;
+}
+
+function mayMatchToken(patternToken, { token, shiftsFrom }) {
+  return (
+    patternToken === anyToken ||
+    patternToken === token ||
+    (shiftsFrom !== undefined &&
+      arrayIndexPattern.test(patternToken) &&
+      parseInt(patternToken, 10) >= shiftsFrom)
+  );
+}
+
+function surelyMatchesToken(patternToken, { token, shiftsFrom }) {
+  return (
+    patternToken === anyToken ||
+    (shiftsFrom === undefined && patternToken === token)
+  );
+}
+
+// Searches for a way to go through the pattern along the location, in which
+// "**" may stand for any number of tokens, until `isDone`. Each pair of
+// positions in the two is only visited once, so that a pattern with many
+// "**" costs no more than the number of such pairs, and there's no recursion
+// for long locations to overflow the stack with.
+function findMatch(patternTokens, location, isDone, matchesToken) {
+  const width = location.length + 1;
+  const visited = new Uint8Array((patternTokens.length + 1) * width);
+  const pending = [{ i: 0, j: 0 }];
+
+  while (pending.length > 0) {
+    const { i, j } = pending.pop();
+
+    if (visited[i * width + j]) {
+      continue;
+    }
+    visited[i * width + j] = 1;
+
+    if (isDone(i, j)) {
+      return true;
+    }
+
+    if (patternTokens[i] === anyTokens) {
+      pending.push({ i: i + 1, j });
+      if (j < location.length) {
+        pending.push({ i, j: j + 1 });
+      }
+    } else if (
+      j < location.length &&
+      matchesToken(patternTokens[i], location[j])
+    ) {
+      pending.push({ i: i + 1, j: j + 1 });
+    }
+  }
+
+  return false;
+}
+
+// Whether the location may be at, within or around something that matches
+function mayOverlap(patternTokens, location) {
+  return findMatch(
+    patternTokens,
+    location,
+    (i, j) => i === patternTokens.length || j === location.length,
+    mayMatchToken
+  );
+}
+
+// Whether the location is surely at or within something that matches
+function isSurelyWithin(patternTokens, location) {
+  return findMatch(
+    patternTokens,
+    location,
+    (i) => i === patternTokens.length,
+    surelyMatchesToken
+  );
+}
+
+// The pointers that the operation reads from and writes to, and whether
+// the write shifts the array elements after it
+function findAccesses(operation) {
+  const read = (pointer) => ({ pointer, isWrite: false, shifts: false });
+  const write = (pointer, shifts) => ({ pointer, isWrite: true, shifts });
+
+  switch (operation.op) {
+    case 'add':
+    case 'remove':
+      return [write(operation.path, true)];
+
+    case 'replace':
+      return [write(operation.path, false)];
+
+    case 'copy':
+      return [read(operation.from), write(operation.path, true)];
+
+    case 'move':
+      return [write(operation.from, true), write(operation.path, true)];
+
+    case 'test':
+      return [read(operation.path)];
+
+    default:
+      // A custom operation may do whatever within its path, and what it does
+      // elsewhere through its helpers gets checked as it does it
+      return [write(operation.path, false)];
+  }
+}
+
+function parsePatterns(rules, key) {
+  const patterns = rules[key];
+
+  if (patterns === undefined) {
+    return undefined;
+  }
+
+  if (!Array.isArray(patterns)) {
+    throw new JsonPatchError(
+      `bad options: access.${key} should be an array of pointers, was ${typeof patterns}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  return patterns.map((pattern) => {
+    try {
+      return parsePointer(pattern);
+    } catch (e) {
+      if (e instanceof JsonPatchError) {
+        throw new JsonPatchError(
+          `bad options: access.${key}: ${e.message}`,
+          'INVALID_OPTIONS'
+        );
+      }
+      throw e;
+    }
+  });
+}
+
+// Gives the allowed and denied locations of the rules as lists of tokens
+export function parseAccessRules(rules) {
+  if (!isObject(rules)) {
+    throw new JsonPatchError(
+      `bad options: access should be an object, was ${typeof rules}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  return {
+    allowTokens: parsePatterns(rules, 'allow'),
+    denyTokens: parsePatterns(rules, 'deny') || [],
+  };
+}
+
+// Throws if the operation reads or writes anywhere that is denied, or that
+// isn't allowed when allowed locations are given. Reading or writing a
+// location reads or writes everything within it too, so a denied location
+// can't be reached through an ancestor either. The message names the
+// operation by `name`, which is how the helpers of custom operations tell
+// apart the ways they read.
+export function checkOperationAccess(
+  operation,
+  { allowTokens, denyTokens },
+  name = operation.op
+) {
+  const accesses = findAccesses(operation).map((access) => ({
+    ...access,
+    location: toLocation(access.pointer, access),
+  }));
+
+  for (const { pointer, isWrite, location } of accesses) {
+    const isDenied =
+      denyTokens.some((patternTokens) => mayOverlap(patternTokens, location)) ||
+      (allowTokens !== undefined &&
+        !allowTokens.some((patternTokens) =>
+          isSurelyWithin(patternTokens, location)
+        ));
+
+    if (isDenied) {
+      const error = new JsonPatchError(
+        `access denied: ${name} may not ${
+          isWrite ? 'write to' : 'read from'
+        } ${JSON.stringify(pointer)}`,
+        'ACCESS_DENIED'
+      );
+      error.addContext({ pointer });
+      throw error;
+    }
+  }
+}
+
+// Checks each operation of the patch against the parsed rules. Operations
+// that are malformed are left for `applyPatch` to reject.
+export function checkAccess(patch, rules) {
+  for (const [operationIndex, operation] of patch.entries()) {
+    if (!isObject(operation)) {
+      continue;
+    }
+
+    try {
+      checkOperationAccess(operation, rules);
+    } catch (e) {
+      if (e instanceof JsonPatchError) {
+        if (e.code !== 'ACCESS_DENIED') {
+          continue;
+        }
+
+        e.addContext({
+          operationIndex,
+          operation,
+          op: operation.op,
+          path: operation.path,
+          from: operation.from,
+        });
+      }
+      throw e;
+    }
+  }
+}
@@ -0,0 +1,1096 @@
+import {
+  checkAccess,
+  checkOperationAccess,
+  parseAccessRules,
+} from './access.js';
+import { compare, validateEqualityOptions } from './compare.js';
+import { JsonPatchError } from './json-patch-error.js';
+import {
+  checkDocumentSize,
+  checkPatchLimits,
+  measure,
+  validateLimits,
+} from './limits.js';
+import { escapeToken, isIndexLike, parsePointer, Pointer } from './pointer.js';
+import { checkSchema, validateSchema } from './schema.js';
+import {
+  clone,
+  getMember,
+  hasOwn,
+  isArray,
+  isObject,
+  setMember,
+} from './util.js';
+
+// Checks that the element the pointer has led to can be led further into
+function assertContainer(element, pointer) {
+  if (!isArray(element) && !isObject(element)) {
+    const error = new JsonPatchError(
+      `pointer leads to an element that is neither an array nor an object but ${typeof element}`,
+      'PATH_NOT_FOUND'
+    );
+
+    // If the element exists, it's the next token that cannot be followed
+    throw element === undefined
+      ? pointer.addContextTo(error)
+      : pointer.addContextTo(error, pointer.nextTokenIndex);
+  }
+}
+
+function has(element, pointer) {
+  if (pointer.isFullyRead()) {
+    return true;
+  }
+
+  const index = pointer.readNextTokenInContext(element);
+  const member = getMember(element, index);
+
+  if (member === undefined) {
+    return false;
+  }
+
+  return has(member, pointer);
+}
+
+function get(element, pointer) {
+  if (pointer.isFullyRead()) {
+    return element;
+  }
+
+  const index = pointer.readNextTokenInContext(element);
+  const member = getMember(element, index);
+
+  if (member === undefined) {
+    throw pointer.addContextTo(
+      new JsonPatchError('pointer does not lead anywhere', 'PATH_NOT_FOUND')
+    );
+  }
+
+  return get(member, pointer);
+}
+
+// Resolves a path against a document, giving the concrete path (with `-`
+// turned into an index) and what, if anything, is currently there
+function locate(document, path) {
+  const pointer = new Pointer(path);
+
+  let element = document;
+  let parent;
+  let resolvedPath = '';
+  while (!pointer.isFullyRead()) {
+    const index = pointer.readNextTokenInContext(element);
+    resolvedPath += `/${escapeToken(index)}`;
+    parent = element;
+    element = getMember(element, index);
+  }
+
+  return {
+    path: resolvedPath,
+    exists: element !== undefined,
+    value: element,
+    isArrayElement: isArray(parent),
+  };
+}
+
+function outOfBounds() {
+  return new JsonPatchError(
+    'pointer points to an index that is out-of-bounds',
+    'INDEX_OUT_OF_BOUNDS'
+  );
+}
+
+// The error for a target that isn't in its container, which for an array
+// means the index is past the end, as it is when adding
+function missingTarget(parent, message) {
+  return isArray(parent)
+    ? outOfBounds()
+    : new JsonPatchError(message, 'PATH_NOT_FOUND');
+}
+
+// Editors do the actual modifications for `applyOperation`, always on the
+// containers themselves. To leave the original document alone, an editor can
+// copy each container before it first modifies it; the copies belong to the
+// editor, so it can keep modifying them without copying them again. To
+// support reverting, an editor can push a function for undoing each
+// modification into a journal.
+function createEditor({ copyOnWrite = false, journal = null }) {
+  const copies = new WeakSet();
+  const rememberedObjects = new WeakSet();
+
+  function writable(container) {
+    if (!copyOnWrite || copies.has(container)) {
+      return container;
+    }
+
+    const copy = isArray(container) ? [...container] : { ...container };
+    copies.add(copy);
+    return copy;
+  }
+
+  // Makes a value safe to insert: a copy that ended up in two places could
+  // get modified through both
+  function adopt(value) {
+    if (!copyOnWrite) {
+      return clone(value);
+    }
+
+    if (!copies.has(value)) {
+      // Whatever is not a copy does not contain any copies either, since a
+      // container gets copied before anything is inserted into it
+      return value;
+    }
+
+    if (isArray(value)) {
+      return value.map(adopt);
+    }
+
+    const adopted = {};
+    for (const [key, member] of Object.entries(value)) {
+      setMember(adopted, key, adopt(member));
+    }
+    return adopted;
+  }
+
+  function rememberMember(object, key) {
+    if (!journal) {
+      return;
+    }
+
+    if (hasOwn(object, key)) {
+      const value = object[key];
+      journal.push(() => {
+        setMember(object, key, value);
+      });
+    } else {
+      journal.push(() => {
+        delete object[key];
+      });
+    }
+  }
+
+  // Putting a deleted member back would move it to the end of the object, so
+  // the object gets rebuilt with its members as they were instead. Once is
+  // enough for each object, since everything journaled after it gets undone
+  // before it.
+  function rememberObject(object) {
+    if (!journal || rememberedObjects.has(object)) {
+      return;
+    }
+
+    rememberedObjects.add(object);
+    const entries = Object.entries(object);
+    journal.push(() => {
+      for (const key of Object.keys(object)) {
+        delete object[key];
+      }
+      for (const [key, value] of entries) {
+        setMember(object, key, value);
+      }
+    });
+  }
+
+  // Follows the pointer up to the element containing its target, making
+  // everything along the way writable
+  function walkToParent(document, pointer) {
+    let index = pointer.readNextTokenInContext(document);
+
+    const root = writable(document);
+    let parent = root;
+
+    while (!pointer.isFullyRead()) {
+      const deeperElement = getMember(parent, index);
+      assertContainer(deeperElement, pointer);
+
+      const writableElement = writable(deeperElement);
+      if (writableElement !== deeperElement) {
+        setMember(parent, index, writableElement);
+      }
+
+      parent = writableElement;
+      index = pointer.readNextTokenInContext(parent);
+    }
+
+    return { root, parent, index };
+  }
+
+  function add(document, pointer, value) {
+    const { root, parent, index } = walkToParent(document, pointer);
+
+    if (isArray(parent)) {
+      if (index > parent.length) {
+        throw pointer.addContextTo(outOfBounds());
+      }
+
+      parent.splice(index, 0, value);
+      if (journal) {
+        journal.push(() => parent.splice(index, 1));
+      }
+    } else {
+      rememberMember(parent, index);
+      setMember(parent, index, value);
+    }
+
+    return root;
+  }
+
+  function replace(document, pointer, value) {
+    const { root, parent, index } = walkToParent(document, pointer);
+
+    if (getMember(parent, index) === undefined) {
+      throw pointer.addContextTo(
+        missingTarget(parent, 'pointer points to a nonexistent location')
+      );
+    }
+
+    rememberMember(parent, index);
+    setMember(parent, index, value);
+
+    return root;
+  }
+
+  function remove(document, pointer) {
+    const { root, parent, index } = walkToParent(document, pointer);
+
+    if (getMember(parent, index) === undefined) {
+      throw pointer.addContextTo(
+        missingTarget(parent, 'pointer does not lead anywhere')
+      );
+    }
+
+    if (isArray(parent)) {
+      const [value] = parent.splice(index, 1);
+      if (journal) {
+        journal.push(() => parent.splice(index, 0, value));
+      }
+    } else {
+      rememberObject(parent);
+      delete parent[index];
+    }
+
+    return root;
+  }
+
+  return { adopt, add, replace, remove };
+}
+
+const builtInOps = ['add', 'copy', 'move', 'remove', 'replace', 'test'];
+
+// Custom operations build on the built-in ones, applied with the same editor
+// so that they copy and revert like the rest of the patch. Each use of a
+// helper is told to `onHelperOperation` before it happens, as the built-in
+// operation that it amounts to along with the name of the helper.
+function applyCustomOperation(
+  document,
+  operation,
+  editor,
+  handler,
+  onHelperOperation
+) {
+  const pathOf = (pointer) =>
+    pointer instanceof Pointer ? pointer.path : pointer;
+
+  // Reading amounts to a test without a value
+  const readWith = (name, read) => (document, pointer) => {
+    onHelperOperation(document, { op: 'test', path: pathOf(pointer) }, name);
+    return read(document, new Pointer(pathOf(pointer)));
+  };
+
+  const applyHelperOperation = (document, helperOperation) => {
+    onHelperOperation(document, helperOperation, helperOperation.op);
+    return applyOperation(document, helperOperation, editor);
+  };
+
+  const helpers = {
+    get: readWith('get', get),
+    has: readWith('has', has),
+    add: (document, pointer, value) =>
+      applyHelperOperation(document, {
+        op: 'add',
+        path: pathOf(pointer),
+        value,
+      }),
+    replace: (document, pointer, value) =>
+      applyHelperOperation(document, {
+        op: 'replace',
+        path: pathOf(pointer),
+        value,
+      }),
+    remove: (document, pointer) =>
+      applyHelperOperation(document, { op: 'remove', path: pathOf(pointer) }),
+  };
+
+  try {
+    return handler(document, new Pointer(operation.path), operation, helpers);
+  } catch (e) {
+    if (e instanceof JsonPatchError) {
+      e.describe(`${operation.op} failed`);
+    }
+    throw e;
+  }
+}
+
+function applyOperation(
+  document,
+  operation,
+  editor,
+  customOperations = {},
+  equality = {},
+  onHelperOperation = () => {}
+) {
+  if (
+    !builtInOps.includes(operation.op) &&
+    Object.prototype.hasOwnProperty.call(customOperations, operation.op)
+  ) {
+    return applyCustomOperation(
+      document,
+      operation,
+      editor,
+      customOperations[operation.op],
+      onHelperOperation
+    );
+  }
+
+  switch (operation.op) {
+    case 'add':
+      try {
+        if (!('value' in operation)) {
+          throw new JsonPatchError('missing value', 'MISSING_VALUE');
+        }
+
+        if (operation.path === '') {
+          // Since the destination of the addition is root itself, we can just
+          // return the operation value directly
+          return editor.adopt(operation.value);
+        }
+
+        return editor.add(
+          document,
+          new Pointer(operation.path),
+          editor.adopt(operation.value)
+        );
+      } catch (e) {
+        if (e instanceof JsonPatchError) {
+          e.describe('add failed');
+        }
+        throw e;
+      }
+
+    case 'copy':
+      try {
+        if (!('from' in operation)) {
+          throw new JsonPatchError('missing from', 'MISSING_FROM');
+        }
+
+        const value = get(document, new Pointer(operation.from));
+
+        if (operation.path === '') {
+          // Since the destination of the copy is root itself, we can just
+          // return the source of the copy directly
+          return editor.adopt(value);
+        }
+
+        return editor.add(
+          document,
+          new Pointer(operation.path),
+          editor.adopt(value)
+        );
+      } catch (e) {
+        if (e instanceof JsonPatchError) {
+          e.describe('copy failed');
+        }
+        throw e;
+      }
+
+    case 'move':
+      try {
+        if (!('from' in operation)) {
+          throw new JsonPatchError('missing from', 'MISSING_FROM');
+        }
+
+        if (operation.from === operation.path) {
+          // No-op
+          return document;
+        }
+
+        const fromPointer = new Pointer(operation.from);
+        const pathPointer = new Pointer(operation.path);
+
+        if (fromPointer.isPrefixTo(pathPointer)) {
+          throw new JsonPatchError(
+            'from pointer cannot be a prefix of path pointer',
+            'MOVE_INTO_ITSELF'
+          );
+        }
+
+        const value = get(document, fromPointer);
+
+        if (operation.path === '') {
+          // Since the destination of the move is root itself, we can just
+          // return the source of the move directly
+          return value;
+        }
+
+        // As in the spec, the value is first removed and then added so that
+        // array indices in "path" refer to the array without the value
+        fromPointer.rewind();
+        document = editor.remove(document, fromPointer);
+
+        return editor.add(document, pathPointer, value);
+      } catch (e) {
+        if (e instanceof JsonPatchError) {
+          e.describe('move failed');
+        }
+        throw e;
+      }
+
+    case 'remove':
+      try {
+        if (operation.path === '') {
+          // When deleting the root of the document, the outcome is undefined,
+          // so let's return `null` and hope that's good enough
+          return null;
+        }
+
+        return editor.remove(document, new Pointer(operation.path));
+      } catch (e) {
+        if (e instanceof JsonPatchError) {
+          e.describe('remove failed');
+        }
+        throw e;
+      }
+
+    case 'replace':
+      try {
+        if (!('value' in operation)) {
+          throw new JsonPatchError('missing value', 'MISSING_VALUE');
+        }
+
+        if (operation.path === '') {
+          // Since the destination of the replacement is root itself, we can
+          // just return the intended replacement value directly
+          return editor.adopt(operation.value);
+        }
+
+        const pathPointer = new Pointer(operation.path);
+
+        // A missing target itself is left for the editor to tell apart from
+        // an index out of bounds
+        if (!has(document, pathPointer) && !pathPointer.isFullyRead()) {
+          throw pathPointer.addContextTo(
+            new JsonPatchError(
+              'pointer points to a nonexistent location',
+              'PATH_NOT_FOUND'
+            )
+          );
+        }
+
+        pathPointer.rewind();
+
+        return editor.replace(
+          document,
+          pathPointer,
+          editor.adopt(operation.value)
+        );
+      } catch (e) {
+        if (e instanceof JsonPatchError) {
+          e.describe('replace failed');
+        }
+        throw e;
+      }
+
+    case 'test':
+      try {
+        if (!('value' in operation)) {
+          throw new JsonPatchError('missing value', 'MISSING_VALUE');
+        }
+
+        compare(
+          operation.value,
+          get(document, new Pointer(operation.path)),
+          equality
+        );
+
+        return document; // Unchanged as it should
+      } catch (e) {
+        if (e instanceof JsonPatchError) {
+          e.describe('test failed');
+        }
+        throw e;
+      }
+
+    default:
+      throw new JsonPatchError(
+        `illegal op: should be add/copy/move/remove/replace/test, was ${JSON.stringify(operation.op)}`,
+        'INVALID_OP'
+      );
+  }
+}
+
+// The path of a move is resolved after the removal, just like when moving
+function locateMoveTarget(document, operation) {
+  const documentWithoutSource = createEditor({ copyOnWrite: true }).remove(
+    document,
+    new Pointer(operation.from)
+  );
+  return locate(documentWithoutSource, operation.path);
+}
+
+// Gives the operations that undo `operation`, which has been successfully
+// applied to `document`
+function invertOperation(document, operation) {
+  const restoreRoot = [{ op: 'replace', path: '', value: document }];
+
+  switch (operation.op) {
+    case 'add':
+    case 'copy': {
+      if (operation.path === '') {
+        return restoreRoot;
+      }
+
+      const target = locate(document, operation.path);
+
+      if (target.exists && !target.isArrayElement) {
+        return [{ op: 'replace', path: target.path, value: target.value }];
+      }
+
+      return [{ op: 'remove', path: target.path }];
+    }
+
+    case 'move': {
+      if (operation.from === operation.path) {
+        return [];
+      }
+
+      if (operation.path === '') {
+        return restoreRoot;
+      }
+
+      const source = locate(document, operation.from);
+      const target = locateMoveTarget(document, operation);
+
+      if (target.exists && !target.isArrayElement) {
+        return [
+          { op: 'replace', path: target.path, value: target.value },
+          { op: 'add', path: source.path, value: source.value },
+        ];
+      }
+
+      if (new Pointer(target.path).isPrefixTo(new Pointer(source.path))) {
+        // Moving back into a descendant is not allowed, but that descendant
+        // is reachable again once the moved value is out of the way
+        return [
+          { op: 'remove', path: target.path },
+          { op: 'add', path: source.path, value: source.value },
+        ];
+      }
+
+      return [{ op: 'move', from: target.path, path: source.path }];
+    }
+
+    case 'remove': {
+      if (operation.path === '') {
+        return restoreRoot;
+      }
+
+      const target = locate(document, operation.path);
+
+      return [{ op: 'add', path: target.path, value: target.value }];
+    }
+
+    case 'replace': {
+      if (operation.path === '') {
+        return restoreRoot;
+      }
+
+      const target = locate(document, operation.path);
+
+      return [{ op: 'replace', path: target.path, value: target.value }];
+    }
+
+    case 'test':
+      return [];
+  }
+}
+
+// Gives the concrete locations that `operation`, which has been successfully
+// applied to `document`, read from and wrote to
+function findTouchedLocations(document, operation) {
+  switch (operation.op) {
+    case 'add':
+    case 'remove':
+    case 'replace':
+      return { reads: [], writes: [locate(document, operation.path).path] };
+
+    case 'copy':
+      return {
+        reads: [locate(document, operation.from).path],
+        writes: [locate(document, operation.path).path],
+      };
+
+    case 'move': {
+      const source = locate(document, operation.from).path;
+
+      if (operation.from === operation.path) {
+        return { reads: [source], writes: [] };
+      }
+
+      const target = locateMoveTarget(document, operation).path;
+      return { reads: [source], writes: [source, target] };
+    }
+
+    case 'test':
+      return { reads: [locate(document, operation.path).path], writes: [] };
+
+    default: {
+      // What a custom operation does is up to it, so apart from what it does
+      // through its helpers, which gets recorded as it goes, it's only known
+      // to have been about its path, resolved as far as the document allows
+      let path = operation.path;
+      try {
+        path = locate(document, operation.path).path;
+      } catch (e) {
+        if (!(e instanceof JsonPatchError)) {
+          throw e;
+        }
+      }
+
+      return { reads: [], writes: [path] };
+    }
+  }
+}
+
+// Like `findTouchedLocations`, but for an operation about to be applied, so
+// that nothing is found for one that doesn't apply and is left for
+// `applyOperation` to reject
+function findLocationsToTouch(document, operation) {
+  try {
+    return findTouchedLocations(document, operation);
+  } catch (e) {
+    if (e instanceof JsonPatchError) {
+      return { reads: [], writes: [] };
+    }
+    throw e;
+  }
+}
+
+// Gives the tokens of the locations that `operation`, about to be applied to
+// `document`, changes. Inserting into or removing from what may be an array
+// shifts the elements after it, so then the whole array counts as changed.
+function findChangedLocations(document, operation) {
+  const { writes } = findLocationsToTouch(document, operation);
+
+  return writes.map((write) => {
+    const tokens = parsePointer(write);
+    return operation.op !== 'replace' &&
+      tokens.length > 0 &&
+      isIndexLike(tokens[tokens.length - 1])
+      ? tokens.slice(0, -1)
+      : tokens;
+  });
+}
+
+// Gives the size that the document of `documentSize` values will have after
+// `operation`, without applying it, so that a patch can't make the document
+// huge before it gets stopped. Values are measured no further than the
+// maximum, and anything taken from the document is within it already, so
+// copying again and again costs no more than the maximum each time. Gives
+// undefined when the size can't be known beforehand.
+function predictDocumentSize(document, documentSize, operation, maxSize) {
+  const sizeOf = (value) => measure(value, { maxSize }).size;
+
+  // An element inserted into an array replaces nothing
+  const replacedSize = ({ exists, value, isArrayElement }) =>
+    exists && !isArrayElement ? sizeOf(value) : 0;
+
+  try {
+    switch (operation.op) {
+      case 'add':
+        return (
+          documentSize -
+          replacedSize(locate(document, operation.path)) +
+          sizeOf(operation.value)
+        );
+
+      case 'replace':
+        return (
+          documentSize -
+          sizeOf(locate(document, operation.path).value) +
+          sizeOf(operation.value)
+        );
+
+      case 'remove':
+        return documentSize - sizeOf(locate(document, operation.path).value);
+
+      case 'copy':
+        return (
+          documentSize -
+          replacedSize(locate(document, operation.path)) +
+          sizeOf(get(document, new Pointer(operation.from)))
+        );
+
+      case 'move':
+        return operation.from === operation.path
+          ? documentSize
+          : documentSize - replacedSize(locateMoveTarget(document, operation));
+
+      case 'test':
+        return documentSize;
+
+      default:
+        return undefined;
+    }
+  } catch (e) {
+    // Operations that don't apply are left for `applyOperation` to reject
+    if (e instanceof JsonPatchError) {
+      return documentSize;
+    }
+    throw e;
+  }
+}
+
+function checkDocumentSizeAt(size, operation, operationIndex, limits) {
+  if (size === undefined) {
+    return;
+  }
+
+  try {
+    checkDocumentSize(size, limits);
+  } catch (e) {
+    if (e instanceof JsonPatchError) {
+      e.addContext({
+        operationIndex,
+        operation,
+        op: operation.op,
+        path: operation.path,
+        from: operation.from,
+      });
+    }
+    throw e;
+  }
+}
+
+function applyOperationAt(
+  document,
+  operation,
+  operationIndex,
+  editor,
+  customOperations,
+  equality,
+  onHelperOperation
+) {
+  try {
+    return applyOperation(
+      document,
+      operation,
+      editor,
+      customOperations,
+      equality,
+      onHelperOperation
+    );
+  } catch (e) {
+    if (e instanceof JsonPatchError) {
+      e.addContext({
+        operationIndex,
+        operation,
+        op: operation.op,
+        path: operation.path,
+        from: operation.from,
+      });
+    }
+    throw e;
+  }
+}
+
+function validatePatchType(patch) {
+  if (!Array.isArray(patch)) {
+    throw new JsonPatchError(
+      'bad patch: should be an array of operations',
+      'INVALID_PATCH'
+    );
+  }
+}
+
+// Keys that JavaScript gives a special meaning to. They're only ever treated
+// as plain members here, but code that handles the document later on might
+// not be as careful.
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+// Values come from untrusted sources and can be deep enough to overflow the
+// stack, so they're walked without recursion
+function findUnsafeKey(value) {
+  const pending = [value];
+
+  while (pending.length > 0) {
+    const element = pending.pop();
+
+    if (isArray(element)) {
+      for (const item of element) {
+        pending.push(item);
+      }
+    } else if (isObject(element)) {
+      for (const [key, member] of Object.entries(element)) {
+        if (unsafeKeys.includes(key)) {
+          return key;
+        }
+        pending.push(member);
+      }
+    }
+  }
+
+  return undefined;
+}
+
+function findUnsafeKeyIn(operation) {
+  for (const member of ['path', 'from']) {
+    let tokens;
+    try {
+      tokens = parsePointer(operation[member]);
+    } catch (e) {
+      // Malformed operations are left for `applyOperation` to reject
+      if (e instanceof JsonPatchError) {
+        continue;
+      }
+      throw e;
+    }
+
+    const key = tokens.find((token) => unsafeKeys.includes(token));
+    if (key !== undefined) {
+      return { member, key };
+    }
+  }
+
+  const key = findUnsafeKey(operation.value);
+  return key === undefined ? undefined : { member: 'value', key };
+}
+
+function rejectUnsafeKeys(patch) {
+  for (const [operationIndex, operation] of patch.entries()) {
+    const found = isObject(operation) ? findUnsafeKeyIn(operation) : undefined;
+
+    if (found) {
+      const error = new JsonPatchError(
+        `bad ${found.member}: ${JSON.stringify(found.key)} is an unsafe key`,
+        'UNSAFE_KEY'
+      );
+      error.addContext({
+        operationIndex,
+        operation,
+        op: operation.op,
+        path: operation.path,
+        from: operation.from,
+      });
+      throw error;
+    }
+  }
+}
+
+function applyPatchUsing(document, patch, options, customOperations) {
+  validatePatchType(patch);
+
+  // The limits come before anything else that goes through the patch, so
+  // that nothing has to go through more than they allow
+  const { limits = {} } = options;
+  validateLimits(limits);
+  checkPatchLimits(patch, limits);
+
+  const { maxDocumentSize } = limits;
+  let documentSize;
+  if (maxDocumentSize !== undefined) {
+    documentSize = measure(document, { maxSize: maxDocumentSize }).size;
+    checkDocumentSize(documentSize, limits);
+  }
+
+  if (options.mutate && options.trace) {
+    throw new JsonPatchError(
+      'bad options: trace cannot be combined with mutate since every step would share the same document',
+      'INVALID_OPTIONS'
+    );
+  }
+
+  validateEqualityOptions(options.equality);
+
+  // Access is checked for the whole patch before any of it gets applied,
+  // apart from what custom operations do through their helpers
+  const accessRules =
+    options.access === undefined ? undefined : parseAccessRules(options.access);
+  if (accessRules !== undefined) {
+    checkAccess(patch, accessRules);
+  }
+
+  if (options.rejectUnsafeKeys) {
+    rejectUnsafeKeys(patch);
+  }
+
+  if (options.schema !== undefined) {
+    validateSchema(options.schema);
+  }
+
+  const journal = options.mutate ? [] : null;
+
+  // One editor for the whole patch copies each container at most once. A
+  // trace needs the document after each operation to stay as it was, so
+  // then every operation gets an editor of its own.
+  const createOperationEditor = () =>
+    createEditor({ copyOnWrite: !options.mutate, journal });
+  let editor = createOperationEditor();
+  const changes = [];
+
+  try {
+    for (const [operationIndex, operation] of patch.entries()) {
+      if (options.trace) {
+        editor = createOperationEditor();
+      }
+
+      // The size is checked before applying the operation where it can be,
+      // and only after applying it otherwise
+      if (options.schema !== undefined && isObject(operation)) {
+        for (const tokens of findChangedLocations(document, operation)) {
+          changes.push({ tokens, operationIndex });
+        }
+      }
+
+      let sizeAfter;
+      if (maxDocumentSize !== undefined && isObject(operation)) {
+        sizeAfter = predictDocumentSize(
+          document,
+          documentSize,
+          operation,
+          maxDocumentSize
+        );
+        checkDocumentSizeAt(sizeAfter, operation, operationIndex, limits);
+      }
+
+      // What custom operations do through their helpers gets checked and
+      // recorded like any other operation
+      const helperTouches = [];
+      const onHelperOperation = (helperDocument, helperOperation, name) => {
+        if (accessRules !== undefined) {
+          checkOperationAccess(helperOperation, accessRules, name);
+        }
+
+        if (options.schema !== undefined) {
+          for (const tokens of findChangedLocations(
+            helperDocument,
+            helperOperation
+          )) {
+            changes.push({ tokens, operationIndex });
+          }
+        }
+
+        if (options.trace) {
+          helperTouches.push(
+            findLocationsToTouch(helperDocument, helperOperation)
+          );
+        }
+      };
+
+      const modifiedDocument = applyOperationAt(
+        document,
+        operation,
+        operationIndex,
+        editor,
+        customOperations,
+        options.equality,
+        onHelperOperation
+      );
+
+      if (maxDocumentSize !== undefined && sizeAfter === undefined) {
+        sizeAfter = measure(modifiedDocument, { maxSize: maxDocumentSize })
+          .size;
+        checkDocumentSizeAt(sizeAfter, operation, operationIndex, limits);
+      }
+      documentSize = sizeAfter;
+
+      if (options.trace) {
+        // Thanks to the structural sharing between the documents, keeping
+        // all of them costs only the parts that each operation changed
+        const touched = [
+          findTouchedLocations(document, operation),
+          ...helperTouches,
+        ];
+        const allOf = (kind) => [
+          ...new Set(touched.flatMap((locations) => locations[kind])),
+        ];
+
+        options.trace.push({
+          operationIndex,
+          operation,
+          document: modifiedDocument,
+          reads: allOf('reads'),
+          writes: allOf('writes'),
+        });
+      }
+
+      document = modifiedDocument;
+    }
+
+    // Only the result has to match the schema, so that a patch can go
+    // through states that don't on the way to it
+    if (options.schema !== undefined) {
+      checkSchema(document, options.schema, patch, changes);
+    }
+  } catch (e) {
+    // Patches are atomic, so whatever got modified in place gets reverted
+    if (journal) {
+      for (const revert of journal.reverse()) {
+        revert();
+      }
+    }
+    throw e;
+  }
+
+  return document;
+}
+
+export function applyPatch(document, patch, options = {}) {
+  return applyPatchUsing(document, patch, options, {});
+}
+
+// Gives an `applyPatch` that also accepts the given custom operations. Each
+// one is handled by a function that gets the document, the parsed path, the
+// operation and helpers for reading and modifying the document, and returns
+// the modified document.
+export function createPatcher({ operations = {} } = {}) {
+  for (const [op, handler] of Object.entries(operations)) {
+    if (builtInOps.includes(op)) {
+      throw new JsonPatchError(
+        `bad options: ${op} is a built-in operation and cannot be overridden`,
+        'INVALID_OPTIONS'
+      );
+    }
+
+    if (typeof handler !== 'function') {
+      throw new JsonPatchError(
+        `bad options: the handler of ${op} should be a function, was ${typeof handler}`,
+        'INVALID_OPTIONS'
+      );
+    }
+  }
+
+  return {
+    applyPatch(document, patch, options = {}) {
+      return applyPatchUsing(document, patch, options, operations);
+    },
+  };
+}
+
+export function applyPatchWithInverse(document, patch) {
+  validatePatchType(patch);
+
+  const inverseOperations = [];
+
+  for (const [operationIndex, operation] of patch.entries()) {
+    // Inverting needs the document from before the operation intact
+    const modifiedDocument = applyOperationAt(
+      document,
+      operation,
+      operationIndex,
+      createEditor({ copyOnWrite: true })
+    );
+
+    inverseOperations.push(invertOperation(document, operation));
+    document = modifiedDocument;
+  }
+
+  return { document, inverse: inverseOperations.reverse().flat() };
+}
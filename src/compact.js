@@ -0,0 +1,394 @@
+import { applyPatch } from './apply.js';
+import { areEqual } from './compare.js';
+import { JsonPatchError } from './json-patch-error.js';
+import {
+  formatPointer,
+  getByPointer,
+  hasByPointer,
+  isIndexLike,
+  isTokenPrefix,
+  parsePointer,
+} from './pointer.js';
+import { getMember, isArray } from './util.js';
+import { validatePatch } from './validate.js';
+
+function isWithin(prefix, tokens) {
+  return prefix.length < tokens.length && isTokenPrefix(prefix, tokens);
+}
+
+// The tokens of the pointers of each operation, parsed only once however many
+// other operations it gets compared with
+const parsedPointers = new WeakMap();
+
+function parsePointersOf(operation) {
+  if (!parsedPointers.has(operation)) {
+    const pathTokens = parsePointer(operation.path);
+    const fromTokens =
+      'from' in operation && ['copy', 'move'].includes(operation.op)
+        ? parsePointer(operation.from)
+        : null;
+
+    // The containers in which the operation may insert or remove elements
+    const shiftedPointers = {
+      add: [pathTokens],
+      copy: [pathTokens],
+      move: [fromTokens, pathTokens],
+      remove: [pathTokens],
+      replace: [],
+      test: [],
+    }[operation.op];
+
+    parsedPointers.set(operation, {
+      pointers: fromTokens ? [pathTokens, fromTokens] : [pathTokens],
+      shiftedContainers: shiftedPointers
+        .filter((tokens) => isIndexLike(tokens[tokens.length - 1]))
+        .map((tokens) => tokens.slice(0, -1)),
+    });
+  }
+
+  return parsedPointers.get(operation);
+}
+
+const pointersOf = (operation) => parsePointersOf(operation).pointers;
+
+const shiftedContainersOf = (operation) =>
+  parsePointersOf(operation).shiftedContainers;
+
+function shifts(operation, another) {
+  return shiftedContainersOf(operation).some((containerTokens) =>
+    pointersOf(another).some(
+      (tokens) =>
+        isWithin(containerTokens, tokens) &&
+        isIndexLike(tokens[containerTokens.length])
+    )
+  );
+}
+
+// Whether the two operations can be applied in either order with the same
+// result, which holds when they don't touch each other's locations
+function commutes(operation, another) {
+  const touchesSame = pointersOf(operation).some((tokens) =>
+    pointersOf(another).some(
+      (anotherTokens) =>
+        isTokenPrefix(tokens, anotherTokens) ||
+        isTokenPrefix(anotherTokens, tokens)
+    )
+  );
+
+  return (
+    !touchesSame && !shifts(operation, another) && !shifts(another, operation)
+  );
+}
+
+function relativeTo(prefixTokens, pointer) {
+  return formatPointer(parsePointer(pointer).slice(prefixTokens.length));
+}
+
+function tryToApply(document, operation) {
+  try {
+    return { document: applyPatch(document, [operation]) };
+  } catch (e) {
+    if (!(e instanceof JsonPatchError)) {
+      throw e;
+    }
+
+    return null;
+  }
+}
+
+// Combines `later` into `earlier`, between which there are only operations
+// that `later` commutes with. Gives `replacement` for the entry of `earlier`
+// and what is left of `later` as `next`, or nothing if they don't combine.
+// An entry is an operation along with `creates`, which is true when its path
+// is known to not have existed or to be a position in an array.
+function combine(earlier, later) {
+  const { operation } = earlier;
+  const laterOperation = later.operation;
+  const [pathTokens, fromTokens] = pointersOf(operation);
+  const [laterPathTokens, laterFromTokens] = pointersOf(laterOperation);
+
+  const withValue = (value) => ({
+    ...earlier,
+    operation: { ...operation, value },
+  });
+
+  // The value of an added or replaced location is known, so what gets done
+  // to it can be done to the value beforehand
+  const isKnown =
+    ['add', 'replace'].includes(operation.op) &&
+    pathTokens[pathTokens.length - 1] !== '-';
+
+  if (isKnown && laterOperation.path === operation.path) {
+    switch (laterOperation.op) {
+      case 'replace':
+        return {
+          replacement: [withValue(laterOperation.value)],
+          next: null,
+        };
+
+      case 'test':
+        return areEqual(operation.value, laterOperation.value)
+          ? { replacement: [earlier], next: null }
+          : undefined;
+
+      case 'remove':
+        if (operation.op === 'replace') {
+          return { replacement: [], next: later };
+        }
+
+        return earlier.creates ? { replacement: [], next: null } : undefined;
+    }
+  }
+
+  const isWithinKnown = (tokens) => isWithin(pathTokens, tokens);
+
+  if (isKnown && pointersOf(laterOperation).every(isWithinKnown)) {
+    const relativeOperation = { ...laterOperation };
+    for (const key of ['from', 'path']) {
+      if (key in relativeOperation) {
+        relativeOperation[key] = relativeTo(pathTokens, relativeOperation[key]);
+      }
+    }
+
+    const result = tryToApply(operation.value, relativeOperation);
+    return result
+      ? { replacement: [withValue(result.document)], next: null }
+      : undefined;
+  }
+
+  if (
+    isKnown &&
+    ['copy', 'move'].includes(laterOperation.op) &&
+    isTokenPrefix(pathTokens, laterFromTokens) &&
+    !isTokenPrefix(pathTokens, laterPathTokens)
+  ) {
+    // Whatever gets taken out of a known value is known too
+    const relativeFrom = relativeTo(pathTokens, laterOperation.from);
+    if (!hasByPointer(operation.value, relativeFrom)) {
+      return undefined;
+    }
+
+    const value = getByPointer(operation.value, relativeFrom);
+    const addition = {
+      operation: { op: 'add', path: laterOperation.path, value },
+      creates: later.creates,
+    };
+
+    if (laterOperation.op === 'copy') {
+      return { replacement: [earlier], next: addition };
+    }
+
+    if (isWithinKnown(laterFromTokens)) {
+      const result = tryToApply(operation.value, {
+        op: 'remove',
+        path: relativeFrom,
+      });
+      return result
+        ? { replacement: [withValue(result.document)], next: addition }
+        : undefined;
+    }
+
+    // A value added only to be moved elsewhere can be added there directly
+    return earlier.creates ? { replacement: [], next: addition } : undefined;
+  }
+
+  if (
+    operation.op === 'remove' &&
+    laterOperation.op === 'add' &&
+    laterOperation.path === operation.path
+  ) {
+    return {
+      replacement: [],
+      next: {
+        operation: {
+          op: 'replace',
+          path: laterOperation.path,
+          value: laterOperation.value,
+        },
+        creates: false,
+      },
+    };
+  }
+
+  if (
+    operation.op === 'test' &&
+    laterOperation.op === 'test' &&
+    laterOperation.path === operation.path &&
+    areEqual(operation.value, laterOperation.value)
+  ) {
+    return { replacement: [earlier], next: null };
+  }
+
+  if (['remove', 'replace'].includes(laterOperation.op)) {
+    // Whatever gets done within a value that later gets removed or replaced
+    // doesn't matter, apart from a value moved there from elsewhere needing
+    // to go away still
+    const isOverwritten = (tokens) => isWithin(laterPathTokens, tokens);
+
+    if (operation.op === 'move' && isOverwritten(pathTokens)) {
+      return isOverwritten(fromTokens)
+        ? { replacement: [], next: later }
+        : {
+            replacement: [
+              {
+                operation: { op: 'remove', path: operation.from },
+                creates: false,
+              },
+            ],
+            next: later,
+          };
+    }
+
+    if (
+      ['add', 'copy', 'remove', 'replace'].includes(operation.op) &&
+      isOverwritten(pathTokens)
+    ) {
+      return { replacement: [], next: later };
+    }
+  }
+
+  if (
+    ['copy', 'move'].includes(operation.op) &&
+    earlier.creates &&
+    laterOperation.op === 'move' &&
+    laterOperation.from === operation.path &&
+    !isTokenPrefix(fromTokens, laterPathTokens)
+  ) {
+    // The value only passed through the path, which was not there before
+    const isNoOp =
+      operation.op === 'move' && operation.from === laterOperation.path;
+    const passedOn = {
+      operation: { ...operation, path: laterOperation.path },
+      creates: later.creates,
+    };
+    return { replacement: isNoOp ? [] : [passedOn], next: null };
+  }
+
+  if (
+    ['copy', 'move'].includes(operation.op) &&
+    earlier.creates &&
+    laterOperation.op === 'remove' &&
+    laterOperation.path === operation.path
+  ) {
+    return {
+      replacement:
+        operation.op === 'move'
+          ? [
+              {
+                operation: { op: 'remove', path: operation.from },
+                creates: false,
+              },
+            ]
+          : [],
+      next: null,
+    };
+  }
+
+  return undefined;
+}
+
+// How many entries back an entry gets brought at most, which keeps compacting
+// long patches linear in their length at the cost of missing operations that
+// could have been combined from further apart
+const maxLookBehind = 100;
+
+// Adds the entry to the end of the entries, first combining it with as many
+// of them as it can be brought next to
+function place(entries, entry) {
+  let next = entry;
+
+  if (
+    next.operation.op === 'move' &&
+    next.operation.from === next.operation.path
+  ) {
+    return;
+  }
+
+  const end = Math.max(entries.length - maxLookBehind, 0);
+  for (let i = entries.length - 1; i >= end; i--) {
+    const result = combine(entries[i], next);
+
+    if (result) {
+      entries.splice(i, 1, ...result.replacement);
+      next = result.next;
+
+      const canGoFurther =
+        next !== null &&
+        result.replacement.every(({ operation }) =>
+          commutes(operation, next.operation)
+        );
+
+      if (!canGoFurther) {
+        break;
+      }
+    } else if (!commutes(entries[i].operation, next.operation)) {
+      break;
+    }
+  }
+
+  if (next !== null) {
+    entries.push(next);
+  }
+}
+
+// Whether the path of the operation was not there before it, or a position
+// in an array, so that it gets created rather than overwritten
+function findWhetherCreates(document, operation) {
+  if (!['add', 'copy', 'move'].includes(operation.op)) {
+    return false;
+  }
+
+  if (operation.op === 'move') {
+    // Moving a value to where it is changes nothing, and what's there might
+    // not even exist
+    if (operation.from === operation.path) {
+      return false;
+    }
+
+    document = applyPatch(document, [{ op: 'remove', path: operation.from }]);
+  }
+
+  const tokens = parsePointer(operation.path);
+  if (tokens.length === 0) {
+    return false;
+  }
+
+  const container = tokens
+    .slice(0, -1)
+    .reduce((element, token) => getMember(element, token), document);
+
+  return isArray(container) || !hasByPointer(document, operation.path);
+}
+
+// Squashes the patch into an equivalent one that is as short as can be told.
+// Without the document, the result is equivalent on every document the patch
+// applies to. With it, the result is only meant for that document, but adding
+// a value and then removing or moving it can be squashed too.
+export function compactPatch(patch, document) {
+  const [error] = validatePatch(patch);
+  if (error) {
+    throw error;
+  }
+
+  let entries;
+  if (document === undefined) {
+    entries = patch.map((operation) => ({ operation, creates: false }));
+  } else {
+    const trace = [];
+    applyPatch(document, patch, { trace });
+    entries = trace.map((step, i) => ({
+      operation: step.operation,
+      creates: findWhetherCreates(
+        i === 0 ? document : trace[i - 1].document,
+        step.operation
+      ),
+    }));
+  }
+
+  const compactedEntries = [];
+  for (const entry of entries) {
+    place(compactedEntries, entry);
+  }
+
+  return compactedEntries.map(({ operation }) => operation);
+}
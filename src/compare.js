@@ -1,64 +1,266 @@
 import { JsonPatchError } from './json-patch-error.js';
-import { isArray, isObject } from './util.js';
+import { formatPointer } from './pointer.js';
+import { hasOwn, isArray, isObject } from './util.js';
 
-function compareObject(object, value) {
+const normalizationForms = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Equality is strict by default, apart from JSON not telling 0 and -0 apart.
+// The options loosen it:
+//
+// - `tolerance`: how much numbers may differ from each other
+// - `normalization`: the Unicode normalization form, such as "NFC", in which
+//   strings and keys are compared
+// - `ignoreUndefined`: whether keys with undefined values count as absent
+export function validateEqualityOptions({
+  tolerance = 0,
+  normalization,
+  ignoreUndefined = false,
+} = {}) {
+  if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+    throw new JsonPatchError(
+      `bad options: tolerance should be a non-negative number, was ${tolerance}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  if (
+    normalization !== undefined &&
+    !normalizationForms.includes(normalization)
+  ) {
+    throw new JsonPatchError(
+      `bad options: normalization should be NFC/NFD/NFKC/NFKD, was ${JSON.stringify(normalization)}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  if (typeof ignoreUndefined !== 'boolean') {
+    throw new JsonPatchError(
+      `bad options: ignoreUndefined should be a boolean, was ${typeof ignoreUndefined}`,
+      'INVALID_OPTIONS'
+    );
+  }
+}
+
+function normalize(string, options) {
+  return options.normalization
+    ? string.normalize(options.normalization)
+    : string;
+}
+
+// Maps the keys of the object, as compared, to the keys as they are
+function keysOf(object, options) {
+  const keys = new Map();
+
+  for (const key of Object.keys(object)) {
+    if (!options.ignoreUndefined || object[key] !== undefined) {
+      keys.set(normalize(key, options), key);
+    }
+  }
+
+  return keys;
+}
+
+function arePrimitivesEqual(a, b, options) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a === b || Math.abs(a - b) <= (options.tolerance || 0);
+  }
+
+  if (typeof a === 'string' && typeof b === 'string') {
+    return normalize(a, options) === normalize(b, options);
+  }
+
+  return a === b;
+}
+
+function compareObject(object, value, options) {
   if (!isObject(value)) {
-    throw new JsonPatchError('test target is an object but the value is not');
+    throw new JsonPatchError(
+      'test target is an object but the value is not',
+      'TEST_FAILED'
+    );
   }
 
-  if (Object.keys(object).length !== Object.keys(value).length) {
+  const objectKeys = keysOf(object, options);
+  const valueKeys = keysOf(value, options);
+
+  if (objectKeys.size !== valueKeys.size) {
     throw new JsonPatchError(
-      'test target has a different number of keys than the compared value'
+      'test target has a different number of keys than the compared value',
+      'TEST_FAILED'
     );
   }
 
-  for (const valueKey in value) {
-    if (!(valueKey in object)) {
-      throw new JsonPatchError(`test target lacks a key: ${valueKey}`);
+  for (const [key, valueKey] of valueKeys) {
+    if (!objectKeys.has(key)) {
+      throw new JsonPatchError(
+        `test target lacks a key: ${valueKey}`,
+        'TEST_FAILED'
+      );
     }
   }
 
-  for (const key in object) {
-    if (!(key in value)) {
-      throw new JsonPatchError(`test target has an extra key: ${key}`);
+  for (const [key, objectKey] of objectKeys) {
+    if (!valueKeys.has(key)) {
+      throw new JsonPatchError(
+        `test target has an extra key: ${objectKey}`,
+        'TEST_FAILED'
+      );
     }
   }
 
-  for (const valueKey in value) {
-    compare(object[valueKey], value[valueKey]);
+  for (const [key, valueKey] of valueKeys) {
+    compare(object[objectKeys.get(key)], value[valueKey], options);
   }
 }
 
-function compareArray(array, value) {
+function compareArray(array, value, options) {
   if (!isArray(value)) {
-    throw new JsonPatchError('test target is an array but the value is not');
+    throw new JsonPatchError(
+      'test target is an array but the value is not',
+      'TEST_FAILED'
+    );
   }
 
   if (array.length !== value.length) {
     throw new JsonPatchError(
-      'test target and value are arrays of differing length'
+      'test target and value are arrays of differing length',
+      'TEST_FAILED'
     );
   }
 
   for (let i = 0; i < array.length; ++i) {
-    compare(array[i], value[i]);
+    compare(array[i], value[i], options);
   }
 }
 
-function comparePrimitive(primitive, value) {
-  if (primitive !== value) {
+function comparePrimitive(primitive, value, options) {
+  if (!arePrimitivesEqual(primitive, value, options)) {
     throw new JsonPatchError(
-      `${primitive} is not equal to ${JSON.stringify(value)}`
+      `${primitive} is not equal to ${JSON.stringify(value)}`,
+      'TEST_FAILED'
     );
   }
 }
 
-export function compare(item, value) {
+export function compare(item, value, options = {}) {
   if (isObject(item)) {
-    compareObject(item, value);
+    compareObject(item, value, options);
   } else if (isArray(item)) {
-    compareArray(item, value);
+    compareArray(item, value, options);
+  } else {
+    comparePrimitive(item, value, options);
+  }
+}
+
+// Collects where `a` and `b` differ into `differences`, or only finds out
+// whether they do when it's null
+function collectDifferences(a, b, options, tokens, differences) {
+  const differ = (tokensOfDifference, aValue, bValue) => {
+    if (differences) {
+      differences.push({
+        pointer: formatPointer(tokensOfDifference),
+        a: aValue,
+        b: bValue,
+      });
+    }
+    return false;
+  };
+
+  if (isObject(a) && isObject(b)) {
+    const aKeys = keysOf(a, options);
+    const bKeys = keysOf(b, options);
+    let equal = true;
+
+    for (const [key, aKey] of aKeys) {
+      equal =
+        (bKeys.has(key)
+          ? collectDifferences(
+              a[aKey],
+              b[bKeys.get(key)],
+              options,
+              [...tokens, aKey],
+              differences
+            )
+          : differ([...tokens, aKey], a[aKey], undefined)) && equal;
+
+      if (!equal && !differences) {
+        return false;
+      }
+    }
+
+    for (const [key, bKey] of bKeys) {
+      if (!aKeys.has(key)) {
+        equal = differ([...tokens, bKey], undefined, b[bKey]);
+
+        if (!differences) {
+          return false;
+        }
+      }
+    }
+
+    return equal;
+  }
+
+  if (isArray(a) && isArray(b)) {
+    let equal = true;
+
+    for (let i = 0; i < Math.max(a.length, b.length); ++i) {
+      equal =
+        (i < a.length && i < b.length
+          ? collectDifferences(a[i], b[i], options, [...tokens, i], differences)
+          : differ([...tokens, i], a[i], b[i])) && equal;
+
+      if (!equal && !differences) {
+        return false;
+      }
+    }
+
+    return equal;
+  }
+
+  if (isObject(a) || isObject(b) || isArray(a) || isArray(b)) {
+    return differ(tokens, a, b);
+  }
+
+  return arePrimitivesEqual(a, b, options) || differ(tokens, a, b);
+}
+
+// Like `test` operations compare values, with the same options
+export function isEqual(a, b, options = {}) {
+  validateEqualityOptions(options);
+
+  return collectDifferences(a, b, options, [], null);
+}
+
+// Gives each pointer at which the values differ as `isEqual` compares them,
+// along with the values of `a` and `b` there, undefined where there is none
+export function findDifferences(a, b, options = {}) {
+  validateEqualityOptions(options);
+
+  const differences = [];
+  collectDifferences(a, b, options, [], differences);
+  return differences;
+}
+
+export function areEqual(a, b) {
+  if (isObject(a)) {
+    if (!isObject(b)) {
+      return false;
+    }
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+      return false;
+    }
+
+    return keys.every((key) => hasOwn(b, key) && areEqual(a[key], b[key]));
+  } else if (isArray(a)) {
+    return (
+      isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => areEqual(item, b[i]))
+    );
   } else {
-    comparePrimitive(item, value);
+    return a === b;
   }
 }
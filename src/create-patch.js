@@ -0,0 +1,246 @@
+import { areEqual } from './compare.js';
+import { escapeToken } from './pointer.js';
+import { hasOwn, isArray, isObject } from './util.js';
+
+const defaultOptions = {
+  arrayDiff: 'lcs',
+  detectMoves: true,
+  maxLcsSize: 1e6,
+};
+
+function diffObjects(before, after, path, patch, options) {
+  for (const key of Object.keys(before)) {
+    if (!hasOwn(after, key)) {
+      patch.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+    }
+  }
+
+  for (const key of Object.keys(after)) {
+    const keyPath = `${path}/${escapeToken(key)}`;
+
+    if (hasOwn(before, key)) {
+      diff(before[key], after[key], keyPath, patch, options);
+    } else {
+      patch.push({ op: 'add', path: keyPath, value: after[key] });
+    }
+  }
+}
+
+function diffArraysByIndex(before, after, path, offset, patch, options) {
+  const commonLength = Math.min(before.length, after.length);
+
+  for (let i = 0; i < commonLength; ++i) {
+    diff(before[i], after[i], `${path}/${offset + i}`, patch, options);
+  }
+
+  // Removals go from the end so that the remaining indices stay valid
+  for (let i = before.length - 1; i >= commonLength; --i) {
+    patch.push({ op: 'remove', path: `${path}/${offset + i}` });
+  }
+
+  for (let i = commonLength; i < after.length; ++i) {
+    patch.push({ op: 'add', path: `${path}/${offset + i}`, value: after[i] });
+  }
+}
+
+// Returns the pairs of indices `[beforeIndex, afterIndex]` of a longest
+// common subsequence, in ascending order
+function longestCommonSubsequence(before, after) {
+  const width = after.length + 1;
+  const lengths = new Uint32Array((before.length + 1) * width);
+
+  for (let j = before.length - 1; j >= 0; --j) {
+    for (let i = after.length - 1; i >= 0; --i) {
+      lengths[j * width + i] = areEqual(before[j], after[i])
+        ? lengths[(j + 1) * width + i + 1] + 1
+        : Math.max(lengths[(j + 1) * width + i], lengths[j * width + i + 1]);
+    }
+  }
+
+  const pairs = [];
+  let j = 0;
+  let i = 0;
+  while (j < before.length && i < after.length) {
+    if (areEqual(before[j], after[i])) {
+      pairs.push([j, i]);
+      ++j;
+      ++i;
+    } else if (lengths[(j + 1) * width + i] >= lengths[j * width + i + 1]) {
+      ++j;
+    } else {
+      ++i;
+    }
+  }
+
+  return pairs;
+}
+
+// Decides for every element of `after` where it comes from: an element of
+// `before` that is kept in order (and possibly modified), an element of
+// `before` that gets moved, or nowhere, in which case it gets added
+function planArrayEdits(before, after, options) {
+  const anchors = longestCommonSubsequence(before, after);
+  anchors.push([before.length, after.length]);
+
+  const sources = new Array(after.length).fill(null);
+  const deleted = new Set();
+  const gaps = [];
+
+  let previousJ = 0;
+  let previousI = 0;
+  for (const [anchorJ, anchorI] of anchors) {
+    const gap = { removals: [], additions: [] };
+    for (let j = previousJ; j < anchorJ; ++j) {
+      gap.removals.push(j);
+      deleted.add(j);
+    }
+    for (let i = previousI; i < anchorI; ++i) {
+      gap.additions.push(i);
+    }
+    gaps.push(gap);
+
+    if (anchorI < after.length) {
+      sources[anchorI] = { type: 'kept', index: anchorJ };
+    }
+
+    previousJ = anchorJ + 1;
+    previousI = anchorI + 1;
+  }
+
+  if (options.detectMoves) {
+    for (const gap of gaps) {
+      gap.additions = gap.additions.filter((i) => {
+        for (const j of deleted) {
+          if (areEqual(before[j], after[i])) {
+            deleted.delete(j);
+            sources[i] = { type: 'moved', index: j };
+            return false;
+          }
+        }
+        return true;
+      });
+    }
+  }
+
+  // What is left in a gap after moves pairs up positionally, turning a
+  // removal followed by an addition into a modification of the element
+  for (const gap of gaps) {
+    const removals = gap.removals.filter((j) => deleted.has(j));
+    const pairCount = Math.min(removals.length, gap.additions.length);
+    for (let k = 0; k < pairCount; ++k) {
+      deleted.delete(removals[k]);
+      sources[gap.additions[k]] = { type: 'modified', index: removals[k] };
+    }
+  }
+
+  return { sources, deleted };
+}
+
+function diffArraysBySubsequence(before, after, path, offset, patch, options) {
+  const { sources, deleted } = planArrayEdits(before, after, options);
+
+  // Mirrors the array as the generated operations get applied, holding
+  // the `before` indices of the elements or -1 for added elements
+  const current = before.map((_, j) => j);
+
+  for (let j = before.length - 1; j >= 0; --j) {
+    if (deleted.has(j)) {
+      patch.push({ op: 'remove', path: `${path}/${offset + j}` });
+      current.splice(j, 1);
+    }
+  }
+
+  for (const [i, source] of sources.entries()) {
+    const elementPath = `${path}/${offset + i}`;
+
+    if (source === null) {
+      patch.push({ op: 'add', path: elementPath, value: after[i] });
+      current.splice(i, 0, -1);
+      continue;
+    }
+
+    // Everything before `i` is final, so the element is at `i` or later
+    const currentIndex = current.indexOf(source.index, i);
+    if (currentIndex !== i) {
+      patch.push({
+        op: 'move',
+        from: `${path}/${offset + currentIndex}`,
+        path: elementPath,
+      });
+      current.splice(currentIndex, 1);
+      current.splice(i, 0, source.index);
+    }
+
+    if (source.type === 'modified') {
+      diff(before[source.index], after[i], elementPath, patch, options);
+    }
+  }
+}
+
+function diffArrays(before, after, path, patch, options) {
+  if (options.arrayDiff === 'index') {
+    diffArraysByIndex(before, after, path, 0, patch, options);
+    return;
+  }
+
+  // Trimming the common ends is cheap and keeps the quadratic part small in
+  // the usual case of a few insertions or removals in a long array
+  let prefixLength = 0;
+  const maxCommonLength = Math.min(before.length, after.length);
+  while (
+    prefixLength < maxCommonLength &&
+    areEqual(before[prefixLength], after[prefixLength])
+  ) {
+    ++prefixLength;
+  }
+
+  let suffixLength = 0;
+  while (
+    suffixLength < maxCommonLength - prefixLength &&
+    areEqual(
+      before[before.length - 1 - suffixLength],
+      after[after.length - 1 - suffixLength]
+    )
+  ) {
+    ++suffixLength;
+  }
+
+  const beforeMiddle = before.slice(prefixLength, before.length - suffixLength);
+  const afterMiddle = after.slice(prefixLength, after.length - suffixLength);
+
+  if (beforeMiddle.length * afterMiddle.length > options.maxLcsSize) {
+    diffArraysByIndex(
+      beforeMiddle,
+      afterMiddle,
+      path,
+      prefixLength,
+      patch,
+      options
+    );
+  } else {
+    diffArraysBySubsequence(
+      beforeMiddle,
+      afterMiddle,
+      path,
+      prefixLength,
+      patch,
+      options
+    );
+  }
+}
+
+function diff(before, after, path, patch, options) {
+  if (isObject(before) && isObject(after)) {
+    diffObjects(before, after, path, patch, options);
+  } else if (isArray(before) && isArray(after)) {
+    diffArrays(before, after, path, patch, options);
+  } else if (before !== after) {
+    patch.push({ op: 'replace', path, value: after });
+  }
+}
+
+export function createPatch(before, after, options = {}) {
+  const patch = [];
+  diff(before, after, '', patch, { ...defaultOptions, ...options });
+  return patch;
+}
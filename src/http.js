@@ -0,0 +1,380 @@
+import { applyPatch } from './apply.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { mergePatchToOperations } from './merge-patch.js';
+import { isArray, isObject } from './util.js';
+import { validatePatch } from './validate.js';
+
+const jsonPatchType = 'application/json-patch+json';
+const mergePatchType = 'application/merge-patch+json';
+
+// Told to clients along with 415 Unsupported Media Type, as RFC 5789 says
+const acceptPatch = `${jsonPatchType}, ${mergePatchType}`;
+
+// How many times a patch gets applied to a document that keeps changing
+// before giving up
+const maxSaveAttempts = 3;
+
+// Members are sorted so that equal documents give equal text
+function stringifyCanonically(value) {
+  if (isArray(value)) {
+    return `[${value.map(stringifyCanonically).join(',')}]`;
+  }
+
+  if (isObject(value)) {
+    const members = Object.keys(value)
+      .sort()
+      .map(
+        (key) => `${JSON.stringify(key)}:${stringifyCanonically(value[key])}`
+      );
+    return `{${members.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+// Gives a strong ETag that depends on nothing but the content of the
+// document, so it's the same across processes and restarts. The hash is
+// cyrb53 carried to 64 bits, which tells versions apart well enough without
+// needing anything platform-specific for cryptography.
+export function computeETag(document) {
+  const text = stringifyCanonically(document);
+
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; ++i) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  const hex = (h) => (h >>> 0).toString(16).padStart(8, '0');
+  return `"${hex(h2)}${hex(h1)}"`;
+}
+
+// Headers can be a plain object, with names in any case, or a `Headers`
+function getHeader(headers, name) {
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name);
+    return value === null ? undefined : value;
+  }
+
+  const key = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  const value = key === undefined ? undefined : headers[key];
+  return isArray(value) ? value.join(', ') : value;
+}
+
+// If-Match compares strongly, so weak ETags never match
+function matchesETag(ifMatch, etag) {
+  return (
+    ifMatch.trim() === '*' ||
+    ifMatch.split(',').some((candidate) => candidate.trim() === etag)
+  );
+}
+
+function respond(status, body, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  };
+}
+
+function respondWithError(status, error, headers) {
+  return respond(
+    status,
+    {
+      message: error.message,
+      code: error.code,
+      operationIndex: error.operationIndex,
+      pointer: error.pointer,
+      schemaPointer: error.schemaPointer,
+    },
+    headers
+  );
+}
+
+function validateOptions({ store, maxBodySize }) {
+  if (
+    !store ||
+    typeof store.load !== 'function' ||
+    typeof store.save !== 'function'
+  ) {
+    throw new JsonPatchError(
+      'bad options: store should have a load and a save function',
+      'INVALID_OPTIONS'
+    );
+  }
+
+  if (
+    !(Number.isInteger(maxBodySize) && maxBodySize >= 0) &&
+    maxBodySize !== Infinity
+  ) {
+    throw new JsonPatchError(
+      `bad options: maxBodySize should be a non-negative integer, was ${maxBodySize}`,
+      'INVALID_OPTIONS'
+    );
+  }
+}
+
+// Parsed bodies have no size to go by
+function isBodyTooLarge(body, maxBodySize) {
+  if (typeof body === 'string') {
+    return new TextEncoder().encode(body).length > maxBodySize;
+  }
+
+  return body instanceof Uint8Array && body.length > maxBodySize;
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string' && !(body instanceof Uint8Array)) {
+    return body;
+  }
+
+  const text = typeof body === 'string' ? body : new TextDecoder().decode(body);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new JsonPatchError(
+      `bad patch: should be JSON, was ${JSON.stringify(text)}`,
+      'INVALID_PATCH'
+    );
+  }
+}
+
+function parseMediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Structural problems with a JSON Patch are found before even loading the
+// document, while a merge patch can be anything that is JSON
+function parsePatch(mediaType, body) {
+  const patch = parseBody(body);
+
+  if (mediaType === jsonPatchType) {
+    if (!isArray(patch)) {
+      throw new JsonPatchError(
+        'bad patch: should be an array of operations',
+        'INVALID_PATCH'
+      );
+    }
+
+    const [error] = validatePatch(patch);
+    if (error) {
+      throw error;
+    }
+  }
+
+  return patch;
+}
+
+// Loads the document, applies the patch to it and saves it, giving the
+// response, or nothing if the store refused to save because the document had
+// changed since it was loaded
+async function patchDocument(key, mediaType, patch, ifMatch, options) {
+  const { store, ...patchOptions } = options;
+
+  const document = await store.load(key);
+  if (document === undefined) {
+    return respond(404, { message: 'document not found' });
+  }
+
+  const etag = computeETag(document);
+  if (ifMatch !== undefined && !matchesETag(ifMatch, etag)) {
+    return respond(
+      412,
+      { message: `precondition failed: the document is at ${etag}` },
+      { ETag: etag }
+    );
+  }
+
+  // As operations, a merge patch is held to the same options as any other
+  // patch
+  const operations =
+    mediaType === mergePatchType
+      ? mergePatchToOperations(document, patch)
+      : patch;
+
+  let modifiedDocument;
+  try {
+    modifiedDocument = applyPatch(document, operations, patchOptions);
+  } catch (e) {
+    // Bad options are the fault of the server rather than of the patch
+    if (e instanceof JsonPatchError && e.code !== 'INVALID_OPTIONS') {
+      // A failed test means the document isn't in the state the patch was
+      // meant for, while anything else means the patch can't be applied
+      return respondWithError(e.code === 'TEST_FAILED' ? 409 : 422, e, {
+        ETag: etag,
+      });
+    }
+    throw e;
+  }
+
+  if ((await store.save(key, modifiedDocument, { etag })) === false) {
+    return undefined;
+  }
+
+  return respond(200, modifiedDocument, {
+    ETag: computeETag(modifiedDocument),
+  });
+}
+
+// Handles an HTTP PATCH request as RFC 5789 describes, independently of any
+// framework: the request is given as its `method`, `headers`, `body` and the
+// `key` of the document in the store, and the response comes back as its
+// `status`, `headers` and `body`.
+//
+// The body can be given as text or bytes, or as JSON parsed already, and text
+// or bytes can be limited to `maxBodySize` bytes. The store is anything with
+// an async `load(key)`, which gives undefined when there's no such document,
+// and an async `save(key, document, { etag })`. Saving gets the ETag of the
+// document as it was loaded, and gives false if the document has changed
+// since, so that the patch gets applied again to the document as it is now.
+// The rest of the options are passed on to `applyPatch`.
+export async function handlePatchRequest(request, options) {
+  const { method = 'PATCH', headers = {}, body, key } = request;
+  const { maxBodySize = Infinity, ...patchOptions } = options;
+  validateOptions({ ...options, maxBodySize });
+
+  if (method.toUpperCase() !== 'PATCH') {
+    return respond(
+      405,
+      { message: `method not allowed: ${method}` },
+      { Allow: 'PATCH', 'Accept-Patch': acceptPatch }
+    );
+  }
+
+  const contentType = getHeader(headers, 'content-type');
+  const mediaType = parseMediaType(contentType);
+  if (mediaType !== jsonPatchType && mediaType !== mergePatchType) {
+    return respond(
+      415,
+      { message: `unsupported media type: ${contentType}` },
+      { 'Accept-Patch': acceptPatch }
+    );
+  }
+
+  if (isBodyTooLarge(body, maxBodySize)) {
+    return respond(413, {
+      message: `payload too large: the body is over ${maxBodySize} bytes`,
+    });
+  }
+
+  let patch;
+  try {
+    patch = parsePatch(mediaType, body);
+  } catch (e) {
+    if (e instanceof JsonPatchError) {
+      return respondWithError(400, e);
+    }
+    throw e;
+  }
+
+  const ifMatch = getHeader(headers, 'if-match');
+  for (let attempt = 0; attempt < maxSaveAttempts; ++attempt) {
+    const response = await patchDocument(
+      key,
+      mediaType,
+      patch,
+      ifMatch,
+      patchOptions
+    );
+    if (response) {
+      return response;
+    }
+  }
+
+  return respond(409, {
+    message: 'conflict: the document kept changing while being patched',
+  });
+}
+
+// Node streams and web streams alike can be read through async iteration.
+// Once the body is over `maxSize` bytes, the rest is read but not kept, which
+// leaves it just large enough to be turned down while the response can still
+// be sent.
+async function readBody(request, maxSize) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of request) {
+    if (length <= maxSize) {
+      const bytes =
+        typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+      chunks.push(bytes);
+      length += bytes.length;
+    }
+  }
+
+  const body = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return body;
+}
+
+// Gives a handler for Node `http` servers, which can also be used as
+// middleware: given `next`, requests other than PATCH are passed on to it, as
+// are errors from the store. Without `next`, those errors end up in a 500
+// response and are given to the `onError(error, request)` option, by default
+// logged to the console.
+//
+// The body gets read from the request, unless something before the handler
+// has already put it in `request.body`. Documents are found in the store by
+// the `getKey(request)` option, by default the URL of the request.
+export function createPatchHandler(options) {
+  const {
+    getKey = (request) => request.url,
+    onError = (error) => console.error(error),
+    ...handlerOptions
+  } = options;
+  const { maxBodySize = Infinity } = handlerOptions;
+  validateOptions({ ...handlerOptions, maxBodySize });
+
+  if (typeof onError !== 'function') {
+    throw new JsonPatchError(
+      `bad options: onError should be a function, was ${typeof onError}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  return async (request, response, next) => {
+    if (next && request.method !== 'PATCH') {
+      next();
+      return;
+    }
+
+    let result;
+    try {
+      result = await handlePatchRequest(
+        {
+          method: request.method,
+          headers: request.headers,
+          body:
+            request.body === undefined
+              ? await readBody(request, maxBodySize)
+              : request.body,
+          key: getKey(request),
+        },
+        handlerOptions
+      );
+    } catch (e) {
+      if (next) {
+        next(e);
+        return;
+      }
+
+      response.writeHead(500, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ message: 'internal error' }));
+      onError(e, request);
+      return;
+    }
+
+    response.writeHead(result.status, result.headers);
+    response.end(result.body);
+  };
+}
@@ -1,4 +1,4 @@
-type JsonValue =
+export type JsonValue =
   | number
   | string
   | boolean
@@ -7,42 +7,42 @@ type JsonValue =
   | {}
   | null;
 
-interface AddOperation {
+export interface AddOperation {
   op: 'add';
   path: string;
   value: JsonValue;
 }
 
-interface CopyOperation {
+export interface CopyOperation {
   op: 'copy';
   from: string;
   path: string;
 }
 
-interface MoveOperation {
+export interface MoveOperation {
   op: 'move';
   from: string;
   path: string;
 }
 
-interface RemoveOperation {
+export interface RemoveOperation {
   op: 'remove';
   path: string;
 }
 
-interface ReplaceOperation {
+export interface ReplaceOperation {
   op: 'replace';
   path: string;
   value: JsonValue;
 }
 
-interface TestOperation {
+export interface TestOperation {
   op: 'test';
   path: string;
   value: JsonValue;
 }
 
-type Operation =
+export type Operation =
   | AddOperation
   | CopyOperation
   | MoveOperation
@@ -50,6 +50,505 @@ type Operation =
   | ReplaceOperation
   | TestOperation;
 
-export function applyPatch(document: JsonValue, patch: Operation[]): JsonValue;
+// With the type of the document, paths can be checked against it along with
+// the values that go there, down to a depth below which anything goes
+type PreviousDepth = [-1, 0, 1, 2, 3, 4, 5, 6, 7];
 
-export class JsonPatchError extends Error {}
+type EscapeTildes<S extends string> = S extends `${infer A}~${infer B}`
+  ? `${A}~0${EscapeTildes<B>}`
+  : S;
+
+type EscapeSlashes<S extends string> = S extends `${infer A}/${infer B}`
+  ? `${A}~1${EscapeSlashes<B>}`
+  : S;
+
+export type EscapedToken<Key extends string> = EscapeSlashes<EscapeTildes<Key>>;
+
+export interface Location<Path extends string, Value> {
+  path: Path;
+  value: Value;
+}
+
+type Prefixed<Prefix extends string, L> = L extends Location<
+  infer Path,
+  infer Value
+>
+  ? Location<`${Prefix}${Path}`, Value>
+  : never;
+
+type LocationsWithin<
+  T,
+  Depth extends number,
+  IsAdding extends boolean
+> = Depth extends -1
+  ? Location<`/${string}`, unknown>
+  : T extends readonly (infer Element)[]
+  ?
+      | Location<`/${number}` | (IsAdding extends true ? '/-' : never), Element>
+      | Prefixed<
+          `/${number}`,
+          LocationsWithin<Element, PreviousDepth[Depth], IsAdding>
+        >
+  : T extends object
+  ? {
+      [Key in keyof T & string]-?:
+        | Location<`/${EscapedToken<Key>}`, Exclude<T[Key], undefined>>
+        | Prefixed<
+            `/${EscapedToken<Key>}`,
+            LocationsWithin<
+              Exclude<T[Key], undefined>,
+              PreviousDepth[Depth],
+              IsAdding
+            >
+          >;
+    }[keyof T & string]
+  : never;
+
+// The locations within a document of type `T`, and with `IsAdding`, also the
+// `-` at the end of each array
+export type Locations<T, IsAdding extends boolean = false> =
+  | Location<'', T>
+  | LocationsWithin<T, 8, IsAdding>;
+
+export type PathOf<T> = Locations<T>['path'];
+
+export type ValueAt<T, Path extends string> = Locations<T> extends infer L
+  ? L extends Location<infer LocationPath, infer Value>
+    ? Path extends LocationPath
+      ? Value
+      : never
+    : never
+  : never;
+
+type OperationsWithValue<Op, L> = L extends Location<infer Path, infer Value>
+  ? { op: Op; path: Path; value: Value }
+  : never;
+
+export type TypedOperation<T> =
+  | OperationsWithValue<'add', Locations<T, true>>
+  | { op: 'copy'; from: PathOf<T>; path: Locations<T, true>['path'] }
+  | { op: 'move'; from: PathOf<T>; path: Locations<T, true>['path'] }
+  | { op: 'remove'; path: PathOf<T> }
+  | OperationsWithValue<'replace', Locations<T>>
+  | OperationsWithValue<'test', Locations<T>>;
+
+export interface TraceStep {
+  operationIndex: number;
+  operation: Operation;
+  document: JsonValue;
+  reads: string[];
+  writes: string[];
+}
+
+export interface EqualityOptions {
+  tolerance?: number;
+  normalization?: 'NFC' | 'NFD' | 'NFKC' | 'NFKD';
+  ignoreUndefined?: boolean;
+}
+
+// Pointers in which "*" stands for any single token and "**" for any number
+// of them
+export interface AccessRules {
+  allow?: string[];
+  deny?: string[];
+}
+
+// Sizes count every value that something is made of, itself included, and
+// depths how deeply arrays and objects are nested in it
+export interface Limits {
+  maxOperations?: number;
+  maxPointerDepth?: number;
+  maxValueDepth?: number;
+  maxValueSize?: number;
+  maxDocumentSize?: number;
+}
+
+export type JsonSchemaType =
+  | 'array'
+  | 'boolean'
+  | 'integer'
+  | 'null'
+  | 'number'
+  | 'object'
+  | 'string';
+
+// The part of JSON Schema that `applyPatch` validates against, other keywords
+// being ignored
+export type JsonSchema =
+  | boolean
+  | {
+      type?: JsonSchemaType | JsonSchemaType[];
+      enum?: JsonValue[];
+      required?: string[];
+      properties?: { [key: string]: JsonSchema };
+      additionalProperties?: JsonSchema;
+      items?: JsonSchema;
+      minimum?: number;
+      maximum?: number;
+      minLength?: number;
+      maxLength?: number;
+      minItems?: number;
+      maxItems?: number;
+      [keyword: string]: unknown;
+    };
+
+export interface ApplyPatchOptions {
+  mutate?: boolean;
+  trace?: TraceStep[];
+  equality?: EqualityOptions;
+  access?: AccessRules;
+  rejectUnsafeKeys?: boolean;
+  limits?: Limits;
+  schema?: JsonSchema;
+}
+
+export function applyPatch(
+  document: JsonValue,
+  patch: Operation[],
+  options?: ApplyPatchOptions
+): JsonValue;
+
+// Given the type of the document, as in `applyPatch<Document>(...)`, the
+// operations get checked against it
+export function applyPatch<T>(
+  document: T,
+  patch: TypedOperation<T>[],
+  options?: ApplyPatchOptions
+): T;
+
+export interface CustomOperation {
+  op: string;
+  path: string;
+  [key: string]: unknown;
+}
+
+export interface ParsedPointer {
+  readonly path: string;
+}
+
+export interface OperationHelpers {
+  get(document: JsonValue, pointer: string | ParsedPointer): JsonValue;
+  has(document: JsonValue, pointer: string | ParsedPointer): boolean;
+  add(
+    document: JsonValue,
+    pointer: string | ParsedPointer,
+    value: JsonValue
+  ): JsonValue;
+  replace(
+    document: JsonValue,
+    pointer: string | ParsedPointer,
+    value: JsonValue
+  ): JsonValue;
+  remove(document: JsonValue, pointer: string | ParsedPointer): JsonValue;
+}
+
+export type OperationHandler = (
+  document: JsonValue,
+  pointer: ParsedPointer,
+  operation: CustomOperation,
+  helpers: OperationHelpers
+) => JsonValue;
+
+export interface Patcher {
+  applyPatch(
+    document: JsonValue,
+    patch: (Operation | CustomOperation)[],
+    options?: ApplyPatchOptions
+  ): JsonValue;
+}
+
+export function createPatcher(options?: {
+  operations?: { [op: string]: OperationHandler };
+}): Patcher;
+
+export interface Change {
+  pointer: string;
+  oldValue: JsonValue | undefined;
+  newValue: JsonValue | undefined;
+}
+
+export interface Observer extends Patcher {
+  subscribe(pattern: string, listener: (changes: Change[]) => void): () => void;
+}
+
+export function createObserver(options?: {
+  operations?: { [op: string]: OperationHandler };
+}): Observer;
+
+export function applyPatchWithInverse(
+  document: JsonValue,
+  patch: Operation[]
+): { document: JsonValue; inverse: Operation[] };
+
+export interface Checkpoint {
+  document: JsonValue;
+  line: number;
+  operationCount: number;
+}
+
+export interface ApplyPatchStreamOptions extends ApplyPatchOptions {
+  checkpointEvery?: number;
+  onCheckpoint?: (checkpoint: Checkpoint) => void | Promise<void>;
+}
+
+// Anything that gives chunks of NDJSON text, patches or operations, such as
+// a Node stream or a web ReadableStream
+export type PatchStream =
+  | AsyncIterable<unknown>
+  | Iterable<unknown>
+  | { getReader(): unknown };
+
+export function applyPatchStream(
+  document: JsonValue,
+  readable: PatchStream,
+  options?: ApplyPatchStreamOptions
+): Promise<JsonValue>;
+
+export function serializePatchStream(
+  patches: Iterable<Operation[]> | AsyncIterable<Operation[]>
+): AsyncGenerator<string, void, undefined>;
+
+// Loads and saves documents by their keys, loading giving undefined when
+// there's no such document
+export interface PatchStore {
+  load(key: string): Promise<JsonValue | undefined>;
+  // Gives false to refuse saving over a document that has changed since it
+  // was loaded at `etag`
+  save(
+    key: string,
+    document: JsonValue,
+    loaded: { etag: string }
+  ): Promise<void | boolean>;
+}
+
+export interface PatchHandlerOptions extends ApplyPatchOptions {
+  store: PatchStore;
+  maxBodySize?: number;
+}
+
+// Header names in any case, or a `Headers`
+export type PatchRequestHeaders =
+  | { [name: string]: string | string[] | undefined }
+  | { get(name: string): string | null };
+
+export interface PatchRequest {
+  method?: string;
+  headers?: PatchRequestHeaders;
+  body?: string | Uint8Array | JsonValue;
+  key: string;
+}
+
+export interface PatchResponse {
+  status: number;
+  headers: { [name: string]: string };
+  body: string;
+}
+
+export function computeETag(document: JsonValue): string;
+
+export function handlePatchRequest(
+  request: PatchRequest,
+  options: PatchHandlerOptions
+): Promise<PatchResponse>;
+
+// What the handler needs of a Node `IncomingMessage` and `ServerResponse`
+export interface NodePatchRequest extends AsyncIterable<unknown> {
+  method?: string;
+  url?: string;
+  headers: PatchRequestHeaders;
+  body?: unknown;
+}
+
+export interface NodePatchResponse {
+  writeHead(status: number, headers: { [name: string]: string }): unknown;
+  end(body: string): unknown;
+}
+
+export interface NodePatchHandlerOptions extends PatchHandlerOptions {
+  getKey?: (request: NodePatchRequest) => string;
+  onError?: (error: unknown, request: NodePatchRequest) => void;
+}
+
+export function createPatchHandler(
+  options: NodePatchHandlerOptions
+): (
+  request: NodePatchRequest,
+  response: NodePatchResponse,
+  next?: (error?: unknown) => void
+) => Promise<void>;
+
+export interface PatchDocumentOptions {
+  historyLimit?: number;
+  snapshotEvery?: number;
+}
+
+// Keeps `T` from being inferred from where it's used, without needing the
+// `NoInfer` of TypeScript 5.4
+type NotInferred<T> = [T][T extends unknown ? 0 : never];
+
+// Like with `applyPatch`, the operations only get checked against the type of
+// the document when it's given, as in `new PatchDocument<Document>(...)`
+export class PatchDocument<T = JsonValue> {
+  constructor(value: NotInferred<T>, options?: PatchDocumentOptions);
+
+  readonly value: T;
+  readonly version: number;
+  readonly oldestVersion: number;
+  readonly latestVersion: number;
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+
+  applyPatch(patch: TypedOperation<T>[]): T;
+  undo(): T;
+  redo(): T;
+  checkout(version: number): T;
+}
+
+export interface CreatePatchOptions {
+  arrayDiff?: 'lcs' | 'index';
+  detectMoves?: boolean;
+  maxLcsSize?: number;
+}
+
+export function createPatch(
+  before: JsonValue,
+  after: JsonValue,
+  options?: CreatePatchOptions
+): Operation[];
+
+export function applyMergePatch(
+  document: JsonValue,
+  mergePatch: JsonValue
+): JsonValue;
+
+export function createMergePatch(
+  before: JsonValue,
+  after: JsonValue
+): JsonValue;
+
+export function mergePatchToOperations(
+  document: JsonValue,
+  mergePatch: JsonValue
+): Operation[];
+
+export function operationsToMergePatch(
+  document: JsonValue,
+  patch: Operation[]
+): JsonValue;
+
+export function compactPatch(
+  patch: Operation[],
+  document?: JsonValue
+): Operation[];
+
+export interface TransformPatchOptions {
+  priority?: 'a' | 'b';
+  dropped?: { operation: Operation; reason: 'orphaned' | 'overridden' }[];
+}
+
+export function transformPatch(
+  patchA: Operation[],
+  patchB: Operation[],
+  document: JsonValue,
+  options?: TransformPatchOptions
+): Operation[];
+
+export function validatePatch(
+  patch: unknown,
+  document?: JsonValue
+): JsonPatchError[];
+
+export interface Difference {
+  pointer: string;
+  a: unknown;
+  b: unknown;
+}
+
+export function isEqual(
+  a: unknown,
+  b: unknown,
+  options?: EqualityOptions
+): boolean;
+
+export function findDifferences(
+  a: unknown,
+  b: unknown,
+  options?: EqualityOptions
+): Difference[];
+
+export function parsePointer(pointer: string): string[];
+
+export function formatPointer(tokens: (string | number)[]): string;
+
+export function escapeToken(token: string | number): string;
+
+export function unescapeToken(tokenString: string): string;
+
+export function getByPointer(document: JsonValue, pointer: string): JsonValue;
+
+export function hasByPointer(document: JsonValue, pointer: string): boolean;
+
+export function parent(pointer: string): string;
+
+export function append(pointer: string, ...tokens: (string | number)[]): string;
+
+export function isPrefixOf(prefix: string, pointer: string): boolean;
+
+export interface RelativePointer {
+  up: number;
+  indexOffset: number;
+  tokens: string[];
+  isKeyQuery: boolean;
+}
+
+export function parseRelativePointer(relativePointer: string): RelativePointer;
+
+export function toAbsolutePointer(
+  basePointer: string,
+  relativePointer: string
+): string;
+
+export function toRelativePointer(basePointer: string, pointer: string): string;
+
+export function getByRelativePointer(
+  document: JsonValue,
+  basePointer: string,
+  relativePointer: string
+): JsonValue;
+
+export type JsonPatchErrorCode =
+  | 'ACCESS_DENIED'
+  | 'INDEX_OUT_OF_BOUNDS'
+  | 'INVALID_ARRAY_INDEX'
+  | 'INVALID_OP'
+  | 'INVALID_OPERATION'
+  | 'INVALID_OPTIONS'
+  | 'INVALID_PATCH'
+  | 'INVALID_POINTER'
+  | 'LIMIT_EXCEEDED'
+  | 'MISSING_FROM'
+  | 'MISSING_VALUE'
+  | 'MOVE_INTO_ITSELF'
+  | 'PATH_NOT_FOUND'
+  | 'SCHEMA_VIOLATION'
+  | 'TEST_FAILED'
+  | 'UNSAFE_KEY'
+  | 'VERSION_NOT_FOUND'
+  | 'UNEXPRESSIBLE_MERGE_PATCH';
+
+export class JsonPatchError extends Error {
+  constructor(message: string, code?: string);
+
+  code?: JsonPatchErrorCode;
+  operationIndex?: number;
+  operation?: Operation;
+  op?: Operation['op'];
+  path?: string;
+  from?: string;
+  pointer?: string;
+  resolvedPrefix?: string;
+  token?: string;
+  line?: number;
+  limit?: keyof Limits;
+  schemaPointer?: string;
+}
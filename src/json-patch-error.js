@@ -1,6 +1,32 @@
-// TODO: Context
+// Besides the message, an error can carry a stable `code` and context about
+// where it happened:
+//
+// - `operationIndex`, `operation`, `op`, `path` and `from`: the operation
+//   that failed and its position in the patch
+// - `pointer`: the pointer that could not be followed
+// - `resolvedPrefix`: the part of `pointer` that was followed successfully
+// - `token`: the token of `pointer` that could not be followed, as written
+//   in the pointer
+//
+// Context that does not apply or is not known is left out.
 export class JsonPatchError extends Error {
+  constructor(message, code) {
+    super(message);
+
+    if (code !== undefined) {
+      this.code = code;
+    }
+  }
+
   describe(description) {
     this.message = `${description}: ${this.message}`;
   }
+
+  addContext(context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (value !== undefined && !(key in this)) {
+        this[key] = value;
+      }
+    }
+  }
 }
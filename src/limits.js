@@ -0,0 +1,162 @@
+import { JsonPatchError } from './json-patch-error.js';
+import { parsePointer } from './pointer.js';
+import { isArray, isObject } from './util.js';
+
+const limitNames = [
+  'maxOperations',
+  'maxPointerDepth',
+  'maxValueDepth',
+  'maxValueSize',
+  'maxDocumentSize',
+];
+
+export function validateLimits(limits) {
+  if (!isObject(limits)) {
+    throw new JsonPatchError(
+      `bad options: limits should be an object, was ${typeof limits}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  for (const name of limitNames) {
+    const limit = limits[name];
+
+    if (
+      limit !== undefined &&
+      !(Number.isInteger(limit) && limit >= 0) &&
+      limit !== Infinity
+    ) {
+      throw new JsonPatchError(
+        `bad options: limits.${name} should be a non-negative integer, was ${limit}`,
+        'INVALID_OPTIONS'
+      );
+    }
+  }
+}
+
+// Gives the size of a value, as the number of values it is made of itself
+// included, and its depth, as how deeply containers are nested in it. Values
+// can be deep enough to overflow the stack, so there's no recursion, and
+// measuring stops as soon as either goes over its maximum, so that a huge
+// value costs no more than a value just over the maximum.
+export function measure(value, { maxSize = Infinity, maxDepth = Infinity }) {
+  let size = 0;
+  let depth = 0;
+  const pending = [{ element: value, elementDepth: 0 }];
+
+  while (pending.length > 0 && size <= maxSize && depth <= maxDepth) {
+    const { element, elementDepth } = pending.pop();
+    ++size;
+
+    if (isArray(element) || isObject(element)) {
+      depth = Math.max(depth, elementDepth + 1);
+      for (const member of Object.values(element)) {
+        pending.push({ element: member, elementDepth: elementDepth + 1 });
+      }
+    }
+  }
+
+  return { size, depth };
+}
+
+function limitExceeded(message, limit) {
+  const error = new JsonPatchError(
+    `limit exceeded: ${message}`,
+    'LIMIT_EXCEEDED'
+  );
+  error.addContext({ limit });
+  return error;
+}
+
+function checkOperationLimits(operation, limits) {
+  const { maxPointerDepth, maxValueDepth, maxValueSize } = limits;
+
+  if (maxPointerDepth !== undefined) {
+    for (const member of ['path', 'from']) {
+      let tokens;
+      try {
+        tokens = parsePointer(operation[member]);
+      } catch (e) {
+        // Malformed operations are left for `applyOperation` to reject
+        if (e instanceof JsonPatchError) {
+          continue;
+        }
+        throw e;
+      }
+
+      if (tokens.length > maxPointerDepth) {
+        throw limitExceeded(
+          `${member} is deeper than ${maxPointerDepth} tokens`,
+          'maxPointerDepth'
+        );
+      }
+    }
+  }
+
+  if (
+    'value' in operation &&
+    (maxValueDepth !== undefined || maxValueSize !== undefined)
+  ) {
+    const { size, depth } = measure(operation.value, {
+      maxSize: maxValueSize,
+      maxDepth: maxValueDepth,
+    });
+
+    if (maxValueDepth !== undefined && depth > maxValueDepth) {
+      throw limitExceeded(
+        `value is nested deeper than ${maxValueDepth} levels`,
+        'maxValueDepth'
+      );
+    }
+
+    if (maxValueSize !== undefined && size > maxValueSize) {
+      throw limitExceeded(
+        `value is made of more than ${maxValueSize} values`,
+        'maxValueSize'
+      );
+    }
+  }
+}
+
+// Throws if the patch itself is over any of the limits. The size of the
+// document is left to `applyPatch` to keep track of as it goes.
+export function checkPatchLimits(patch, limits) {
+  const { maxOperations } = limits;
+
+  if (maxOperations !== undefined && patch.length > maxOperations) {
+    throw limitExceeded(
+      `patch has more than ${maxOperations} operations`,
+      'maxOperations'
+    );
+  }
+
+  for (const [operationIndex, operation] of patch.entries()) {
+    if (!isObject(operation)) {
+      continue;
+    }
+
+    try {
+      checkOperationLimits(operation, limits);
+    } catch (e) {
+      if (e instanceof JsonPatchError) {
+        e.addContext({
+          operationIndex,
+          operation,
+          op: operation.op,
+          path: operation.path,
+          from: operation.from,
+        });
+      }
+      throw e;
+    }
+  }
+}
+
+export function checkDocumentSize(size, { maxDocumentSize }) {
+  if (size > maxDocumentSize) {
+    throw limitExceeded(
+      `document has more than ${maxDocumentSize} values`,
+      'maxDocumentSize'
+    );
+  }
+}
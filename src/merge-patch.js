@@ -0,0 +1,116 @@
+import { applyPatch } from './apply.js';
+import { areEqual } from './compare.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { escapeToken } from './pointer.js';
+import { getMember, hasOwn, isArray, isObject, setMember } from './util.js';
+
+// Implements the algorithm of RFC 7386, section 2, except that only the
+// objects that actually change get copied
+export function applyMergePatch(document, mergePatch) {
+  if (!isObject(mergePatch)) {
+    return mergePatch;
+  }
+
+  const newDocument = isObject(document) ? { ...document } : {};
+
+  for (const [key, value] of Object.entries(mergePatch)) {
+    if (value === null) {
+      delete newDocument[key];
+    } else {
+      setMember(
+        newDocument,
+        key,
+        applyMergePatch(getMember(newDocument, key), value)
+      );
+    }
+  }
+
+  return newDocument;
+}
+
+function diff(before, after, path, allowArrayReplacement) {
+  if (isObject(after)) {
+    // Anything but an object gets replaced by an empty object before merging
+    // into it, which is also why nulls within could not be expressed
+    const objectBefore = isObject(before) ? before : {};
+    const mergePatch = {};
+
+    for (const key of Object.keys(objectBefore)) {
+      if (!hasOwn(after, key)) {
+        setMember(mergePatch, key, null);
+      }
+    }
+
+    for (const [key, value] of Object.entries(after)) {
+      const member = getMember(objectBefore, key);
+
+      if (!hasOwn(objectBefore, key) || !areEqual(member, value)) {
+        const keyPath = `${path}/${escapeToken(key)}`;
+        setMember(
+          mergePatch,
+          key,
+          diff(member, value, keyPath, allowArrayReplacement)
+        );
+      }
+    }
+
+    return mergePatch;
+  }
+
+  if (isArray(before) && isArray(after) && !allowArrayReplacement) {
+    throw new JsonPatchError(
+      `merge patch cannot express an array edit at "${path}" without replacing the whole array`,
+      'UNEXPRESSIBLE_MERGE_PATCH'
+    );
+  }
+
+  if (after === null && path !== '') {
+    throw new JsonPatchError(
+      `merge patch cannot express a null value at "${path}" since null means removal`,
+      'UNEXPRESSIBLE_MERGE_PATCH'
+    );
+  }
+
+  return after;
+}
+
+export function createMergePatch(before, after) {
+  return diff(before, after, '', true);
+}
+
+function convertToOperations(document, mergePatch, path, operations) {
+  for (const [key, value] of Object.entries(mergePatch)) {
+    const keyPath = `${path}/${escapeToken(key)}`;
+
+    if (value === null) {
+      if (hasOwn(document, key)) {
+        operations.push({ op: 'remove', path: keyPath });
+      }
+    } else if (isObject(value) && isObject(getMember(document, key))) {
+      convertToOperations(getMember(document, key), value, keyPath, operations);
+    } else {
+      operations.push({
+        op: 'add',
+        path: keyPath,
+        value: applyMergePatch(getMember(document, key), value),
+      });
+    }
+  }
+}
+
+export function mergePatchToOperations(document, mergePatch) {
+  if (!isObject(document) || !isObject(mergePatch)) {
+    const value = applyMergePatch(document, mergePatch);
+    return [{ op: 'replace', path: '', value }];
+  }
+
+  const operations = [];
+  convertToOperations(document, mergePatch, '', operations);
+  return operations;
+}
+
+// Unlike `createMergePatch`, which replaces arrays as a whole like merge
+// patches do, this refuses to turn edits within arrays into replacements
+export function operationsToMergePatch(document, patch) {
+  return diff(document, applyPatch(document, patch), '', false);
+}
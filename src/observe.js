@@ -0,0 +1,184 @@
+import { createPatcher } from './apply.js';
+import { areEqual } from './compare.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { formatPointer, lookUpTokens, parsePointer } from './pointer.js';
+import { isArray, isObject } from './util.js';
+
+const wildcard = '*';
+
+function keysOf(element) {
+  if (isArray(element)) {
+    return element.map((_, i) => String(i));
+  }
+  return isObject(element) ? Object.keys(element) : [];
+}
+
+// Inserting into or removing from an array shifts the elements after the
+// index, so every one of them up to the end of the array is affected too
+function findAffectedLocations(trace, document) {
+  const affected = new Map();
+  const addAffected = (tokens) => affected.set(formatPointer(tokens), tokens);
+
+  let documentBefore = document;
+  for (const { operation, document: documentAfter, writes } of trace) {
+    for (const write of writes) {
+      const tokens = parsePointer(write);
+      addAffected(tokens);
+
+      if (tokens.length === 0 || operation.op === 'replace') {
+        continue;
+      }
+
+      const containerTokens = tokens.slice(0, -1);
+      const containers = [documentBefore, documentAfter].map((document) =>
+        lookUpTokens(document, containerTokens)
+      );
+
+      if (containers.some(isArray)) {
+        const length = Math.max(
+          ...containers.map((container) =>
+            isArray(container) ? container.length : 0
+          )
+        );
+        for (let i = Number(tokens[tokens.length - 1]) + 1; i < length; ++i) {
+          addAffected([...containerTokens, String(i)]);
+        }
+      }
+    }
+
+    documentBefore = documentAfter;
+  }
+
+  return [...affected.values()];
+}
+
+// Gives the locations matching the pattern at which something may have
+// changed, as the tokens leading to them
+function findCandidates(patternTokens, affected, before, after) {
+  const candidates = new Map();
+
+  function expand(tokens, restOfPattern) {
+    if (restOfPattern.length === 0) {
+      candidates.set(formatPointer(tokens), tokens);
+      return;
+    }
+
+    const [patternToken, ...rest] = restOfPattern;
+    const keys =
+      patternToken === wildcard
+        ? new Set([
+            ...keysOf(lookUpTokens(before, tokens)),
+            ...keysOf(lookUpTokens(after, tokens)),
+          ])
+        : [patternToken];
+
+    for (const key of keys) {
+      expand([...tokens, key], rest);
+    }
+  }
+
+  for (const tokens of affected) {
+    const sharedLength = Math.min(patternTokens.length, tokens.length);
+    const matches = patternTokens
+      .slice(0, sharedLength)
+      .every(
+        (patternToken, i) =>
+          patternToken === wildcard || patternToken === tokens[i]
+      );
+
+    if (!matches) {
+      continue;
+    }
+
+    // The change was either within a matching location or to an ancestor of
+    // every location that matches from there on
+    if (patternTokens.length <= tokens.length) {
+      expand(tokens.slice(0, patternTokens.length), []);
+    } else {
+      expand(tokens, patternTokens.slice(tokens.length));
+    }
+  }
+
+  return [...candidates.values()];
+}
+
+// Gives an `applyPatch` that, after applying a patch, calls the listeners
+// subscribed to the locations the patch changed. A listener subscribes to a
+// pointer, in which "*" stands for any single token, and gets called once per
+// patch with the changes to the locations matching it, each with the pointer
+// along with the `oldValue` and `newValue` there, undefined where there was
+// none. Changes within a location count as changes to it.
+export function createObserver({ operations = {} } = {}) {
+  const patcher = createPatcher({ operations });
+  const subscriptions = new Set();
+
+  return {
+    subscribe(pattern, listener) {
+      if (typeof listener !== 'function') {
+        throw new JsonPatchError(
+          `bad listener: should be a function, was ${typeof listener}`,
+          'INVALID_OPTIONS'
+        );
+      }
+
+      const subscription = { patternTokens: parsePointer(pattern), listener };
+      subscriptions.add(subscription);
+
+      return () => {
+        subscriptions.delete(subscription);
+      };
+    },
+
+    applyPatch(document, patch, options = {}) {
+      if (options.mutate) {
+        throw new JsonPatchError(
+          'bad options: mutate cannot be used with an observer since the old values would be lost',
+          'INVALID_OPTIONS'
+        );
+      }
+
+      if (subscriptions.size === 0) {
+        return patcher.applyPatch(document, patch, options);
+      }
+
+      const trace = options.trace || [];
+      const traceStart = trace.length;
+      const modifiedDocument = patcher.applyPatch(document, patch, {
+        ...options,
+        trace,
+      });
+      const affected = findAffectedLocations(trace.slice(traceStart), document);
+
+      // Subscribing or unsubscribing in a listener takes effect on the next
+      // patch
+      for (const { patternTokens, listener } of [...subscriptions]) {
+        const changes = [];
+
+        for (const tokens of findCandidates(
+          patternTokens,
+          affected,
+          document,
+          modifiedDocument
+        )) {
+          const oldValue = lookUpTokens(document, tokens);
+          const newValue = lookUpTokens(modifiedDocument, tokens);
+
+          // Values only pass for equal when both are there or both are not
+          if (!areEqual(oldValue, newValue)) {
+            changes.push({
+              pointer: formatPointer(tokens),
+              oldValue,
+              newValue,
+            });
+          }
+        }
+
+        if (changes.length > 0) {
+          listener(changes);
+        }
+      }
+
+      return modifiedDocument;
+    },
+  };
+}
@@ -0,0 +1,157 @@
+import { applyPatch, applyPatchWithInverse } from './apply.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { clone } from './util.js';
+
+function validateOptions({ historyLimit, snapshotEvery }) {
+  if (
+    !(Number.isInteger(historyLimit) || historyLimit === Infinity) ||
+    historyLimit < 0
+  ) {
+    throw new JsonPatchError(
+      `bad options: historyLimit should be a non-negative integer, was ${historyLimit}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  if (!Number.isInteger(snapshotEvery) || snapshotEvery < 1) {
+    throw new JsonPatchError(
+      `bad options: snapshotEvery should be a positive integer, was ${snapshotEvery}`,
+      'INVALID_OPTIONS'
+    );
+  }
+}
+
+// A document that keeps the patches applied to it, so that it can be taken
+// back and forth between its versions. Versions are numbered from 0 by how
+// many patches have led to them, and applying a patch to an earlier version
+// discards the versions after it.
+//
+// The history is bounded by `historyLimit` patches, along with their inverses.
+// Every `snapshotEvery` versions, the whole document is kept too so that
+// checking out a version far away doesn't replay every patch in between.
+// Thanks to the structural sharing between the versions, a snapshot costs only
+// what has changed since the previous one.
+//
+// `value` and `version` tell the current state and should not be modified
+// directly.
+export class PatchDocument {
+  constructor(value, { historyLimit = 100, snapshotEvery = 10 } = {}) {
+    validateOptions({ historyLimit, snapshotEvery });
+
+    this.value = value;
+    this.version = 0;
+    this.historyLimit = historyLimit;
+    this.snapshotEvery = snapshotEvery;
+
+    // The patch and inverse at index i lead between versions
+    // `oldestVersion + i` and `oldestVersion + i + 1`
+    this.history = [];
+    this.oldestVersion = 0;
+    this.snapshots = new Map([[0, value]]);
+  }
+
+  get latestVersion() {
+    return this.oldestVersion + this.history.length;
+  }
+
+  get canUndo() {
+    return this.version > this.oldestVersion;
+  }
+
+  get canRedo() {
+    return this.version < this.latestVersion;
+  }
+
+  applyPatch(patch) {
+    const { document, inverse } = applyPatchWithInverse(this.value, patch);
+
+    // The versions after this one can't be redone anymore
+    this.history.splice(this.version - this.oldestVersion);
+    this.forgetSnapshots((version) => version > this.version);
+
+    this.history.push({ patch: clone(patch), inverse });
+    this.value = document;
+    ++this.version;
+
+    if (this.version % this.snapshotEvery === 0) {
+      this.snapshots.set(this.version, document);
+    }
+
+    if (this.history.length > this.historyLimit) {
+      const excess = this.history.length - this.historyLimit;
+      this.history.splice(0, excess);
+      this.oldestVersion += excess;
+      this.forgetSnapshots((version) => version < this.oldestVersion);
+    }
+
+    return this.value;
+  }
+
+  undo() {
+    if (!this.canUndo) {
+      throw new JsonPatchError('nothing to undo', 'VERSION_NOT_FOUND');
+    }
+
+    return this.checkout(this.version - 1);
+  }
+
+  redo() {
+    if (!this.canRedo) {
+      throw new JsonPatchError('nothing to redo', 'VERSION_NOT_FOUND');
+    }
+
+    return this.checkout(this.version + 1);
+  }
+
+  checkout(version) {
+    if (
+      !Number.isInteger(version) ||
+      version < this.oldestVersion ||
+      version > this.latestVersion
+    ) {
+      throw new JsonPatchError(
+        `version ${version} is not in the history, which goes from ${this.oldestVersion} to ${this.latestVersion}`,
+        'VERSION_NOT_FOUND'
+      );
+    }
+
+    // Starting from the closest version at hand, the current one or a
+    // snapshot, keeps the patches to replay few
+    let closestVersion = this.version;
+    let document = this.value;
+    for (const [snapshotVersion, snapshot] of this.snapshots) {
+      if (
+        Math.abs(snapshotVersion - version) < Math.abs(closestVersion - version)
+      ) {
+        closestVersion = snapshotVersion;
+        document = snapshot;
+      }
+    }
+
+    for (let i = closestVersion; i < version; ++i) {
+      document = applyPatch(
+        document,
+        this.history[i - this.oldestVersion].patch
+      );
+    }
+    for (let i = closestVersion; i > version; --i) {
+      document = applyPatch(
+        document,
+        this.history[i - 1 - this.oldestVersion].inverse
+      );
+    }
+
+    this.value = document;
+    this.version = version;
+
+    return this.value;
+  }
+
+  forgetSnapshots(isForgotten) {
+    for (const version of this.snapshots.keys()) {
+      if (isForgotten(version)) {
+        this.snapshots.delete(version);
+      }
+    }
+  }
+}
@@ -1,50 +1,159 @@
 import { JsonPatchError } from './json-patch-error.js';
-import { isArray, isObject } from './util.js';
+import { getMember, isArray, isObject } from './util.js';
 
 function validatePath(path) {
   if (typeof path !== 'string') {
     throw new JsonPatchError(
-      `bad path: should be a string, was ${typeof path}`
+      `bad path: should be a string, was ${typeof path}`,
+      'INVALID_POINTER'
     );
   }
 
   if (path[0] !== '/' && path !== '') {
-    throw new JsonPatchError('bad path: should be "" or start with "/"');
+    throw new JsonPatchError(
+      'bad path: should be "" or start with "/"',
+      'INVALID_POINTER'
+    );
   }
 }
 
+// RFC 6901 only allows indices without leading zeros
+export const arrayIndexPattern = /^(0|[1-9][0-9]*)$/;
+
+// Whether adding or removing at the token may shift the elements of an
+// array after it. Without the document, numeric object keys can't be told
+// apart from indices.
+export const isIndexLike = (token) =>
+  token === '-' || arrayIndexPattern.test(token);
+
+export function escapeToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+export function unescapeToken(tokenString) {
+  if (/~([^01]|$)/.test(tokenString)) {
+    throw new JsonPatchError(
+      `bad path: "~" should be followed by "0" or "1", was ${JSON.stringify(tokenString)}`,
+      'INVALID_POINTER'
+    );
+  }
+
+  // "~1" has to be decoded first so that "~01" becomes "~1" and not "/"
+  return tokenString.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
 function parseTokenString(tokenString, context) {
   if (isObject(context)) {
-    const decodedTokenString =
-      tokenString
-        .replace('~1', '/')
-        .replace('~0', '~');
-    return decodedTokenString;
+    return unescapeToken(tokenString);
   } else if (isArray(context)) {
     if (tokenString === '-') {
       return context.length;
     }
 
-    const tokenNumber = parseInt(tokenString, 10);
-
-    if (isNaN(tokenNumber) || tokenNumber != tokenString) {
+    if (!arrayIndexPattern.test(tokenString)) {
       throw new JsonPatchError(
-        `path token is not a valid array index, was ${JSON.stringify(tokenString)}`
+        `path token is not a valid array index, was ${JSON.stringify(tokenString)}`,
+        'INVALID_ARRAY_INDEX'
       );
     }
 
-    return tokenNumber;
+    return parseInt(tokenString, 10);
   } else {
     throw new JsonPatchError(
-      `token context should either be an array or a string, was ${typeof context}`
+      `token context should either be an array or a string, was ${typeof context}`,
+      'PATH_NOT_FOUND'
+    );
+  }
+}
+
+export function parsePointer(pointer) {
+  validatePath(pointer);
+
+  return pointer.split('/').slice(1).map(unescapeToken);
+}
+
+export function formatPointer(tokens) {
+  return tokens.map((token) => `/${escapeToken(token)}`).join('');
+}
+
+export function append(pointer, ...tokens) {
+  validatePath(pointer);
+
+  return pointer + formatPointer(tokens);
+}
+
+export function parent(pointer) {
+  const tokens = parsePointer(pointer);
+
+  if (tokens.length === 0) {
+    throw new JsonPatchError(
+      'the root pointer "" has no parent',
+      'INVALID_POINTER'
+    );
+  }
+
+  return formatPointer(tokens.slice(0, -1));
+}
+
+export function isPrefixOf(prefix, pointer) {
+  return new Pointer(prefix).isPrefixTo(new Pointer(pointer));
+}
+
+// Whether the tokens of one location lead to or into the other
+export function isTokenPrefix(prefixTokens, tokens) {
+  return (
+    prefixTokens.length <= tokens.length &&
+    prefixTokens.every((token, i) => token === tokens[i])
+  );
+}
+
+// Unlike the cursor of `Pointer`, which resolves "-" to the index after the
+// last element for adding, lookups treat "-" as a nonexistent element
+function lookUp(document, tokens) {
+  let element = document;
+
+  for (const token of tokens) {
+    const isValidToken = isArray(element)
+      ? arrayIndexPattern.test(token)
+      : isObject(element);
+
+    if (!isValidToken || getMember(element, token) === undefined) {
+      return { found: false };
+    }
+
+    element = getMember(element, token);
+  }
+
+  return { found: true, value: element };
+}
+
+// Gives what the tokens lead to, or undefined when there's nothing there
+export function lookUpTokens(document, tokens) {
+  return lookUp(document, tokens).value;
+}
+
+export function hasByPointer(document, pointer) {
+  return lookUp(document, parsePointer(pointer)).found;
+}
+
+export function getByPointer(document, pointer) {
+  const { found, value } = lookUp(document, parsePointer(pointer));
+
+  if (!found) {
+    throw new JsonPatchError(
+      'pointer does not lead anywhere',
+      'PATH_NOT_FOUND'
     );
   }
+
+  return value;
 }
 
 export class Pointer {
   constructor(path) {
     validatePath(path);
 
+    this.path = path;
     this.tokenStrings = path.split('/').slice(1);
     this.nextTokenIndex = 0;
   }
@@ -87,10 +196,192 @@ export class Pointer {
 
     ++this.nextTokenIndex;
 
-    return parseTokenString(tokenString, contextItem);
+    try {
+      return parseTokenString(tokenString, contextItem);
+    } catch (e) {
+      if (e instanceof JsonPatchError) {
+        this.addContextTo(e);
+      }
+      throw e;
+    }
+  }
+
+  // Tells the error which token of the pointer failed, by default the one
+  // read last
+  addContextTo(error, tokenIndex = this.nextTokenIndex - 1) {
+    error.addContext({
+      pointer: this.path,
+      resolvedPrefix: this.tokenStrings
+        .slice(0, tokenIndex)
+        .map((tokenString) => `/${tokenString}`)
+        .join(''),
+      token: this.tokenStrings[tokenIndex],
+    });
+
+    return error;
   }
 
   rewind() {
     this.nextTokenIndex = 0;
   }
 }
+
+// Relative JSON Pointers (draft-bhutton-relative-json-pointer-00) start with
+// how many levels to go up from a base pointer, optionally followed by how
+// far to move the array index reached that way, and end with either a
+// pointer to follow from there or "#" for the index or key reached
+const relativePointerPattern = /^(0|[1-9][0-9]*)(?:([+-])(0|[1-9][0-9]*))?(#|\/.*|)$/;
+
+export function parseRelativePointer(relativePointer) {
+  if (typeof relativePointer !== 'string') {
+    throw new JsonPatchError(
+      `bad relative pointer: should be a string, was ${typeof relativePointer}`,
+      'INVALID_POINTER'
+    );
+  }
+
+  const match = relativePointerPattern.exec(relativePointer);
+  if (!match) {
+    throw new JsonPatchError(
+      `bad relative pointer: should start with a non-negative integer, was ${JSON.stringify(relativePointer)}`,
+      'INVALID_POINTER'
+    );
+  }
+
+  const [, up, sign, offset, rest] = match;
+  const isKeyQuery = rest === '#';
+
+  return {
+    up: parseInt(up, 10),
+    indexOffset: sign ? parseInt(`${sign}${offset}`, 10) : 0,
+    tokens: isKeyQuery ? [] : parsePointer(rest),
+    isKeyQuery,
+  };
+}
+
+// Goes up and over from the base as the relative pointer says, giving the
+// tokens of where that leads before following the rest of the pointer
+function walkRelatively(baseTokens, up, indexOffset) {
+  if (up > baseTokens.length) {
+    throw new JsonPatchError(
+      `relative pointer goes up ${up} levels from a base of ${baseTokens.length}`,
+      'PATH_NOT_FOUND'
+    );
+  }
+
+  const tokens = baseTokens.slice(0, baseTokens.length - up);
+
+  if (indexOffset !== 0) {
+    const lastToken = tokens[tokens.length - 1];
+
+    if (lastToken === undefined || !arrayIndexPattern.test(lastToken)) {
+      throw new JsonPatchError(
+        `relative pointer moves an index, but the base leads to ${JSON.stringify(lastToken)}`,
+        'INVALID_ARRAY_INDEX'
+      );
+    }
+
+    const index = parseInt(lastToken, 10) + indexOffset;
+    if (index < 0) {
+      throw new JsonPatchError(
+        `relative pointer moves the index to ${index}`,
+        'INDEX_OUT_OF_BOUNDS'
+      );
+    }
+
+    tokens[tokens.length - 1] = String(index);
+  }
+
+  return tokens;
+}
+
+export function toAbsolutePointer(basePointer, relativePointer) {
+  const { up, indexOffset, tokens, isKeyQuery } = parseRelativePointer(
+    relativePointer
+  );
+
+  if (isKeyQuery) {
+    throw new JsonPatchError(
+      'relative pointer ends in "#" and so leads to an index or key instead of a location',
+      'INVALID_POINTER'
+    );
+  }
+
+  return formatPointer([
+    ...walkRelatively(parsePointer(basePointer), up, indexOffset),
+    ...tokens,
+  ]);
+}
+
+// Gives the shortest relative pointer that leads from the base to the pointer
+export function toRelativePointer(basePointer, pointer) {
+  const baseTokens = parsePointer(basePointer);
+  const tokens = parsePointer(pointer);
+
+  let sharedLength = 0;
+  while (
+    sharedLength < Math.min(baseTokens.length, tokens.length) &&
+    baseTokens[sharedLength] === tokens[sharedLength]
+  ) {
+    ++sharedLength;
+  }
+
+  return (
+    String(baseTokens.length - sharedLength) +
+    formatPointer(tokens.slice(sharedLength))
+  );
+}
+
+export function getByRelativePointer(document, basePointer, relativePointer) {
+  const { up, indexOffset, tokens, isKeyQuery } = parseRelativePointer(
+    relativePointer
+  );
+
+  if (!hasByPointer(document, basePointer)) {
+    throw new JsonPatchError(
+      'base pointer does not lead anywhere',
+      'PATH_NOT_FOUND'
+    );
+  }
+
+  const reachedTokens = walkRelatively(
+    parsePointer(basePointer),
+    up,
+    indexOffset
+  );
+
+  if (indexOffset !== 0) {
+    const container = getByPointer(
+      document,
+      formatPointer(reachedTokens.slice(0, -1))
+    );
+
+    if (!isArray(container)) {
+      throw new JsonPatchError(
+        'relative pointer moves an index, but the base is not in an array',
+        'INVALID_ARRAY_INDEX'
+      );
+    }
+  }
+
+  if (!isKeyQuery) {
+    return getByPointer(document, formatPointer([...reachedTokens, ...tokens]));
+  }
+
+  if (reachedTokens.length === 0) {
+    throw new JsonPatchError(
+      'relative pointer asks for the index or key of the root',
+      'PATH_NOT_FOUND'
+    );
+  }
+
+  // Moving the index may have led past the end of the array
+  getByPointer(document, formatPointer(reachedTokens));
+
+  const key = reachedTokens[reachedTokens.length - 1];
+  const container = getByPointer(
+    document,
+    formatPointer(reachedTokens.slice(0, -1))
+  );
+  return isArray(container) ? parseInt(key, 10) : key;
+}
@@ -0,0 +1,341 @@
+import { areEqual } from './compare.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { formatPointer, isTokenPrefix, parsePointer } from './pointer.js';
+import { getMember, hasOwn, isArray, isObject } from './util.js';
+
+// A validator for the most common part of JSON Schema: `type`, `enum`,
+// `required`, `properties`, `additionalProperties`, `items`, `minimum`,
+// `maximum`, `minLength`, `maxLength`, `minItems` and `maxItems`, along with
+// the schemas `true` and `false`. Other keywords are ignored, like validators
+// do with keywords they don't know.
+
+const typeNames = [
+  'array',
+  'boolean',
+  'integer',
+  'null',
+  'number',
+  'object',
+  'string',
+];
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return isArray(value) ? 'array' : typeof value;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+const isCount = (x) => Number.isInteger(x) && x >= 0;
+
+const keywordChecks = {
+  type: (x) =>
+    typeNames.includes(x) ||
+    (isArray(x) && x.length > 0 && x.every((type) => typeNames.includes(type))),
+  enum: isArray,
+  required: (x) => isArray(x) && x.every((key) => typeof key === 'string'),
+  minimum: (x) => typeof x === 'number',
+  maximum: (x) => typeof x === 'number',
+  minLength: isCount,
+  maxLength: isCount,
+  minItems: isCount,
+  maxItems: isCount,
+};
+
+// Throws if the schema itself is malformed, so that it doesn't go unnoticed
+// until some document happens to need the malformed part
+export function validateSchema(schema, schemaTokens = []) {
+  const fail = (what) => {
+    throw new JsonPatchError(
+      `bad options: schema at ${JSON.stringify(
+        formatPointer(schemaTokens)
+      )} should be ${what}`,
+      'INVALID_OPTIONS'
+    );
+  };
+
+  if (typeof schema === 'boolean') {
+    return;
+  }
+
+  if (!isObject(schema)) {
+    fail('a boolean or an object');
+  }
+
+  for (const [keyword, check] of Object.entries(keywordChecks)) {
+    if (hasOwn(schema, keyword) && !check(schema[keyword])) {
+      fail(`an object with a valid ${keyword}`);
+    }
+  }
+
+  if (hasOwn(schema, 'properties')) {
+    if (!isObject(schema.properties)) {
+      fail('an object with a valid properties');
+    }
+    for (const [key, subschema] of Object.entries(schema.properties)) {
+      validateSchema(subschema, [...schemaTokens, 'properties', key]);
+    }
+  }
+
+  for (const keyword of ['additionalProperties', 'items']) {
+    if (hasOwn(schema, keyword)) {
+      validateSchema(schema[keyword], [...schemaTokens, keyword]);
+    }
+  }
+}
+
+function violation(message, instanceTokens, schemaTokens) {
+  const error = new JsonPatchError(
+    `schema violation: ${JSON.stringify(
+      formatPointer(instanceTokens)
+    )} ${message}`,
+    'SCHEMA_VIOLATION'
+  );
+  error.addContext({
+    pointer: formatPointer(instanceTokens),
+    schemaPointer: formatPointer(schemaTokens),
+  });
+  return error;
+}
+
+// Checks the keywords that are about the value itself rather than about any
+// one of its members
+function checkOwnKeywords(value, schema, instanceTokens, schemaTokens) {
+  const fail = (keyword, message) =>
+    violation(message, instanceTokens, [...schemaTokens, keyword]);
+
+  if (schema === false) {
+    throw violation('should not be there', instanceTokens, schemaTokens);
+  }
+  if (schema === true) {
+    return;
+  }
+
+  const { type } = schema;
+  if (type !== undefined) {
+    const types = isArray(type) ? type : [type];
+    if (!types.some((type) => hasType(value, type))) {
+      throw fail(
+        'type',
+        `should be ${types.join(' or ')}, was ${typeOf(value)}`
+      );
+    }
+  }
+
+  if (
+    schema.enum !== undefined &&
+    !schema.enum.some((item) => areEqual(item, value))
+  ) {
+    throw fail('enum', `should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      throw fail(
+        'minimum',
+        `should be at least ${schema.minimum}, was ${value}`
+      );
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      throw fail(
+        'maximum',
+        `should be at most ${schema.maximum}, was ${value}`
+      );
+    }
+  }
+
+  if (typeof value === 'string') {
+    // Lengths are in code points, not in UTF-16 code units
+    const length = [...value].length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      throw fail(
+        'minLength',
+        `should be at least ${schema.minLength} characters long, was ${length}`
+      );
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      throw fail(
+        'maxLength',
+        `should be at most ${schema.maxLength} characters long, was ${length}`
+      );
+    }
+  }
+
+  if (isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      throw fail(
+        'minItems',
+        `should have at least ${schema.minItems} items, had ${value.length}`
+      );
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      throw fail(
+        'maxItems',
+        `should have at most ${schema.maxItems} items, had ${value.length}`
+      );
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (!hasOwn(value, key)) {
+        throw fail('required', `should have ${JSON.stringify(key)}`);
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !hasOwn(schema.properties, key)) {
+          throw fail(
+            'additionalProperties',
+            `should not have ${JSON.stringify(key)}`
+          );
+        }
+      }
+    }
+  }
+}
+
+// Gives the schema that a member of the value should match, along with the
+// tokens leading to it, if there's anything left to check
+function findMemberSchema(value, schema, key, schemaTokens) {
+  if (typeof schema === 'boolean') {
+    return undefined;
+  }
+
+  if (isArray(value) && schema.items !== undefined) {
+    return { schema: schema.items, tokens: [...schemaTokens, 'items'] };
+  }
+
+  if (isObject(value)) {
+    if (schema.properties && hasOwn(schema.properties, key)) {
+      return {
+        schema: schema.properties[key],
+        tokens: [...schemaTokens, 'properties', key],
+      };
+    }
+
+    // An additional member that isn't allowed has been reported already
+    if (isObject(schema.additionalProperties)) {
+      return {
+        schema: schema.additionalProperties,
+        tokens: [...schemaTokens, 'additionalProperties'],
+      };
+    }
+  }
+
+  return undefined;
+}
+
+function validateFully(value, schema, instanceTokens, schemaTokens) {
+  checkOwnKeywords(value, schema, instanceTokens, schemaTokens);
+
+  if (!isArray(value) && !isObject(value)) {
+    return;
+  }
+
+  for (const key of Object.keys(value)) {
+    const member = findMemberSchema(value, schema, key, schemaTokens);
+    if (member) {
+      validateFully(
+        value[key],
+        member.schema,
+        [...instanceTokens, key],
+        member.tokens
+      );
+    }
+  }
+}
+
+// Validates the changed locations in full, and on the way to them only what
+// their ancestors say about themselves, so that whatever wasn't changed
+// doesn't get validated again
+function validateChanged(value, schema, node, instanceTokens, schemaTokens) {
+  if (node.isChanged) {
+    validateFully(value, schema, instanceTokens, schemaTokens);
+    return;
+  }
+
+  checkOwnKeywords(value, schema, instanceTokens, schemaTokens);
+
+  for (const [key, child] of node.children) {
+    const memberValue =
+      isArray(value) || isObject(value) ? getMember(value, key) : undefined;
+    const member =
+      memberValue === undefined
+        ? undefined
+        : findMemberSchema(value, schema, key, schemaTokens);
+
+    if (member) {
+      validateChanged(
+        memberValue,
+        member.schema,
+        child,
+        [...instanceTokens, key],
+        member.tokens
+      );
+    }
+  }
+}
+
+// The last operation that changed something at or within the location is the
+// likeliest to have broken it, or else the last one that changed something
+// around it
+function findCulprit(changes, instanceTokens) {
+  const lastOf = (matching) =>
+    changes.filter(({ tokens }) => matching(tokens)).pop();
+
+  return (
+    lastOf((tokens) => isTokenPrefix(instanceTokens, tokens)) ||
+    lastOf((tokens) => isTokenPrefix(tokens, instanceTokens))
+  );
+}
+
+// Throws if the document doesn't match the schema at or around the changes,
+// each of which is the tokens of a location along with the index of the
+// operation that changed it
+export function checkSchema(document, schema, patch, changes) {
+  const root = { isChanged: false, children: new Map() };
+
+  for (const { tokens } of changes) {
+    let node = root;
+    for (const token of tokens) {
+      if (!node.children.has(token)) {
+        node.children.set(token, { isChanged: false, children: new Map() });
+      }
+      node = node.children.get(token);
+    }
+    node.isChanged = true;
+  }
+
+  try {
+    validateChanged(document, schema, root, [], []);
+  } catch (e) {
+    if (e instanceof JsonPatchError && e.code === 'SCHEMA_VIOLATION') {
+      const culprit = findCulprit(changes, parsePointer(e.pointer));
+      if (culprit) {
+        const operation = patch[culprit.operationIndex];
+        e.addContext({
+          operationIndex: culprit.operationIndex,
+          operation,
+          op: operation.op,
+          path: operation.path,
+          from: operation.from,
+        });
+      }
+    }
+    throw e;
+  }
+}
@@ -0,0 +1,180 @@
+import { applyPatch } from './apply.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { isArray, isObject } from './util.js';
+
+function validateStreamOptions({ checkpointEvery, onCheckpoint }) {
+  if (checkpointEvery === undefined) {
+    return;
+  }
+
+  if (!Number.isInteger(checkpointEvery) || checkpointEvery < 1) {
+    throw new JsonPatchError(
+      `bad options: checkpointEvery should be a positive integer, was ${checkpointEvery}`,
+      'INVALID_OPTIONS'
+    );
+  }
+
+  if (typeof onCheckpoint !== 'function') {
+    throw new JsonPatchError(
+      `bad options: onCheckpoint should be a function, was ${typeof onCheckpoint}`,
+      'INVALID_OPTIONS'
+    );
+  }
+}
+
+// Web streams are not async iterable everywhere, unlike Node streams
+async function* readChunks(readable) {
+  if (
+    readable &&
+    (readable[Symbol.asyncIterator] || readable[Symbol.iterator])
+  ) {
+    yield* readable;
+    return;
+  }
+
+  if (!readable || typeof readable.getReader !== 'function') {
+    throw new JsonPatchError(
+      'bad stream: should be a Node stream, a web ReadableStream or an iterable',
+      'INVALID_PATCH'
+    );
+  }
+
+  const reader = readable.getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function addLineTo(error, line) {
+  error.describe(`line ${line}`);
+  error.addContext({ line });
+  return error;
+}
+
+function parseLine(text, line) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw addLineTo(
+      new JsonPatchError(
+        `bad patch: should be JSON, was ${JSON.stringify(text)}`,
+        'INVALID_PATCH'
+      ),
+      line
+    );
+  }
+}
+
+// Gives the patches in the stream along with the lines they were on. Text
+// gets split into lines of NDJSON, blank ones skipped, while anything else is
+// taken as a patch or a single operation as it is, counting as a line of its
+// own.
+async function* readPatches(readable) {
+  const decoder = new TextDecoder();
+  let text = '';
+  let line = 0;
+
+  // The last line may still be incomplete, unless there's no more text
+  function* splitLines(isLast) {
+    const lines = text.split('\n');
+    text = lines.pop();
+
+    if (isLast && text !== '') {
+      lines.push(text);
+      text = '';
+    }
+
+    for (const lineText of lines) {
+      ++line;
+      if (lineText.trim() !== '') {
+        yield { line, patch: parseLine(lineText, line) };
+      }
+    }
+  }
+
+  for await (const chunk of readChunks(readable)) {
+    if (typeof chunk === 'string') {
+      text += chunk;
+    } else if (chunk instanceof Uint8Array) {
+      text += decoder.decode(chunk, { stream: true });
+    } else {
+      // Lines of text that did not end in a newline end with the object
+      text += decoder.decode();
+      yield* splitLines(true);
+
+      ++line;
+      yield { line, patch: chunk };
+      continue;
+    }
+
+    yield* splitLines(false);
+  }
+
+  text += decoder.decode();
+  yield* splitLines(true);
+}
+
+// Applies the patches of a stream, as NDJSON text or as objects, one after
+// another, each one atomically. Errors tell the `line` that failed.
+//
+// Given `checkpointEvery`, `onCheckpoint` gets called, and awaited, with the
+// `document`, the `line` and the `operationCount` so far once at least that
+// many operations have been applied since the last time. Patches are not
+// split for it, so checkpoints fall between lines.
+//
+// The rest of the options are passed on to `applyPatch`.
+export async function applyPatchStream(document, readable, options = {}) {
+  const { checkpointEvery, onCheckpoint, ...patchOptions } = options;
+  validateStreamOptions({ checkpointEvery, onCheckpoint });
+
+  let operationCount = 0;
+  let lastCheckpointOperationCount = 0;
+
+  for await (const { line, patch } of readPatches(readable)) {
+    const operations = isObject(patch) ? [patch] : patch;
+
+    try {
+      document = applyPatch(document, operations, patchOptions);
+    } catch (e) {
+      if (e instanceof JsonPatchError) {
+        addLineTo(e, line);
+      }
+      throw e;
+    }
+
+    operationCount += operations.length;
+
+    if (
+      checkpointEvery !== undefined &&
+      operationCount - lastCheckpointOperationCount >= checkpointEvery
+    ) {
+      lastCheckpointOperationCount = operationCount;
+      await onCheckpoint({ document, line, operationCount });
+    }
+  }
+
+  return document;
+}
+
+// Serializes patches, given as an iterable or an async iterable, into lines
+// of NDJSON that `applyPatchStream` reads back
+export async function* serializePatchStream(patches) {
+  for await (const patch of patches) {
+    if (!isArray(patch)) {
+      throw new JsonPatchError(
+        'bad patch: should be an array of operations',
+        'INVALID_PATCH'
+      );
+    }
+
+    yield `${JSON.stringify(patch)}\n`;
+  }
+}
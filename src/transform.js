@@ -0,0 +1,523 @@
+import { applyPatch } from './apply.js';
+import { JsonPatchError } from './json-patch-error.js';
+import {
+  formatPointer,
+  hasByPointer,
+  isTokenPrefix,
+  lookUpTokens,
+  parsePointer,
+} from './pointer.js';
+import { getMember, isArray, isObject } from './util.js';
+
+// Paths are handled here as arrays of tokens in which array indices are
+// numbers and object keys strings, as found by following them in the
+// document, so that they can be compared and shifted directly
+
+function resolveTokens(document, path) {
+  const tokens = [];
+
+  let element = document;
+  for (const token of parsePointer(path)) {
+    if (isArray(element)) {
+      const index = token === '-' ? element.length : Number(token);
+      tokens.push(index);
+      element = element[index];
+    } else {
+      tokens.push(token);
+      element = isObject(element) ? getMember(element, token) : undefined;
+    }
+  }
+
+  return tokens;
+}
+
+// Tests are left out, since a rebased test may well fail on purpose
+function advance(document, operation) {
+  return operation.op === 'test' ? document : applyPatch(document, [operation]);
+}
+
+// Whether adding to the path inserts into an array or sets a member
+function additionRole(document, tokens) {
+  if (tokens.length === 0) {
+    return 'set';
+  }
+
+  return isArray(lookUpTokens(document, tokens.slice(0, -1)))
+    ? 'insert'
+    : 'set';
+}
+
+// Describes what an operation does to the structure of the document, as a
+// list of effects, each one on the document as left by the previous ones
+function findEffects(document, operation) {
+  switch (operation.op) {
+    case 'add':
+    case 'copy':
+    case 'replace': {
+      const tokens = resolveTokens(document, operation.path);
+      return operation.op !== 'replace' &&
+        additionRole(document, tokens) === 'insert'
+        ? [{ type: 'insert', tokens }]
+        : [{ type: 'set', tokens }];
+    }
+
+    case 'remove': {
+      const tokens = resolveTokens(document, operation.path);
+      return tokens.length === 0
+        ? [{ type: 'set', tokens }]
+        : [{ type: 'delete', tokens }];
+    }
+
+    case 'move': {
+      if (operation.from === operation.path) {
+        return [];
+      }
+
+      const from = resolveTokens(document, operation.from);
+      const documentWithoutValue = applyPatch(document, [
+        { op: 'remove', path: operation.from },
+      ]);
+      const [target] = findEffects(documentWithoutValue, {
+        op: 'add',
+        path: operation.path,
+      });
+
+      return [{ type: 'move', from, target }];
+    }
+
+    case 'test':
+      return [];
+  }
+}
+
+// Gives where the location at `tokens` is after the effect, or `null` if the
+// location is gone. What counts as the location depends on the role of the
+// path in the operation: `insert` is a position between array elements,
+// `set` a member of an object that may or may not exist, `replace` and
+// `remove` an existing value that gets written, and `read` an existing value
+// that only gets read. When both the effect and the operation write the same
+// location, `wins` decides which of them prevails.
+function mapThroughEffect(location, effect, role, wins) {
+  const { tokens } = location;
+
+  if (effect.type === 'move') {
+    const isCarried =
+      isTokenPrefix(effect.from, tokens) &&
+      !(role === 'insert' && tokens.length === effect.from.length);
+
+    if (isCarried) {
+      // Whatever was within the moved value moved along with it, and setting
+      // the value itself now means replacing it where it went
+      return {
+        ...location,
+        tokens: [...effect.target.tokens, ...tokens.slice(effect.from.length)],
+        isReplaced:
+          location.isReplaced ||
+          (role === 'set' && tokens.length === effect.from.length),
+      };
+    }
+
+    const withoutValue = mapThroughEffect(
+      location,
+      { type: 'delete', tokens: effect.from },
+      role,
+      wins
+    );
+
+    return withoutValue === null
+      ? null
+      : mapThroughEffect(withoutValue, effect.target, role, wins);
+  }
+
+  const effectTokens = effect.tokens;
+
+  if (effect.type === 'set') {
+    if (!isTokenPrefix(effectTokens, tokens)) {
+      return location;
+    }
+
+    if (tokens.length > effectTokens.length) {
+      return null; // Within a value that got replaced
+    }
+
+    if (role === 'read' || role === 'insert') {
+      return location;
+    }
+
+    return wins ? location : null;
+  }
+
+  const containerTokens = effectTokens.slice(0, -1);
+  const effectIndex = effectTokens[effectTokens.length - 1];
+
+  if (
+    typeof effectIndex === 'number' &&
+    isTokenPrefix(containerTokens, tokens) &&
+    tokens.length > containerTokens.length
+  ) {
+    // An insertion into or a deletion from an array containing the location
+    const depth = containerTokens.length;
+    const index = tokens[depth];
+    const isInsertionPoint = role === 'insert' && tokens.length === depth + 1;
+
+    let shiftedIndex;
+    if (effect.type === 'insert') {
+      const isAfter = isInsertionPoint
+        ? index > effectIndex || (index === effectIndex && !wins)
+        : index >= effectIndex;
+      shiftedIndex = isAfter ? index + 1 : index;
+    } else if (index === effectIndex && !isInsertionPoint) {
+      if (tokens.length > depth + 1 || role !== 'replace' || !wins) {
+        return null;
+      }
+
+      // The replacement prevails over the deletion by recreating the element
+      return { tokens, isRecreated: true };
+    } else {
+      shiftedIndex = index > effectIndex ? index - 1 : index;
+    }
+
+    const shiftedTokens = [...tokens];
+    shiftedTokens[depth] = shiftedIndex;
+    return { ...location, tokens: shiftedTokens };
+  }
+
+  if (effect.type === 'delete' && isTokenPrefix(effectTokens, tokens)) {
+    // A deletion of an object member containing the location
+    if (tokens.length > effectTokens.length || !wins) {
+      return null;
+    }
+
+    if (role === 'set') {
+      return location;
+    }
+
+    if (role === 'replace') {
+      return { tokens, isRecreated: true };
+    }
+
+    return null;
+  }
+
+  return location;
+}
+
+function mapThroughEffects(tokens, effects, role, wins) {
+  let location = { tokens, isRecreated: false, isReplaced: false };
+
+  for (const effect of effects) {
+    location = mapThroughEffect(location, effect, role, wins);
+
+    if (location === null) {
+      return null;
+    }
+  }
+
+  return location;
+}
+
+function overlaps(effects, tokens) {
+  const simpleEffects = effects.flatMap((effect) =>
+    effect.type === 'move'
+      ? [{ type: 'delete', tokens: effect.from }, effect.target]
+      : [effect]
+  );
+
+  for (const effect of simpleEffects) {
+    if (
+      isTokenPrefix(effect.tokens, tokens) ||
+      isTokenPrefix(tokens, effect.tokens)
+    ) {
+      return true;
+    }
+
+    // Later effects apply to the document as left by this one
+    tokens = mapThroughEffect({ tokens }, effect, 'read').tokens;
+  }
+
+  return false;
+}
+
+// An operation is dropped either because its location is gone, or because
+// the other operation writes the same location and takes priority
+function findDropReason(tokens, effects, role) {
+  return mapThroughEffects(tokens, effects, role, true) === null
+    ? 'orphaned'
+    : 'overridden';
+}
+
+// Rebases a single operation that applies to `document` onto `other`, which
+// applies to the same document, giving a list of operations
+function transformOperation(document, operation, other, wins, dropped) {
+  const effects = findEffects(document, other);
+
+  const drop = (reason) => {
+    dropped.push({ operation, reason });
+    return [];
+  };
+
+  switch (operation.op) {
+    case 'add':
+    case 'remove':
+    case 'replace':
+    case 'test': {
+      const tokens = resolveTokens(document, operation.path);
+      const role = {
+        add: additionRole(document, tokens),
+        remove: 'remove',
+        replace: 'replace',
+        test: 'read',
+      }[operation.op];
+
+      const location = mapThroughEffects(tokens, effects, role, wins);
+
+      if (location === null) {
+        return drop(findDropReason(tokens, effects, role));
+      }
+
+      const path = formatPointer(location.tokens);
+      if (location.isRecreated) {
+        return [{ op: 'add', path, value: operation.value }];
+      }
+      if (location.isReplaced) {
+        return [{ op: 'replace', path, value: operation.value }];
+      }
+      return [{ ...operation, path }];
+    }
+
+    case 'copy': {
+      const from = resolveTokens(document, operation.from);
+
+      if (overlaps(effects, from)) {
+        // The value to copy changes, so the value as it was gets added
+        // instead, just like it was when copying first
+        const value = lookUpTokens(document, from);
+        return transformOperation(
+          document,
+          { op: 'add', path: operation.path, value },
+          other,
+          wins,
+          dropped
+        );
+      }
+
+      const tokens = resolveTokens(document, operation.path);
+      const role = additionRole(document, tokens);
+      const location = mapThroughEffects(tokens, effects, role, wins);
+
+      if (location === null) {
+        return drop(findDropReason(tokens, effects, role));
+      }
+
+      const path = formatPointer(location.tokens);
+      if (location.isReplaced) {
+        return [{ op: 'replace', path, value: lookUpTokens(document, from) }];
+      }
+      return [
+        {
+          ...operation,
+          from: formatPointer(mapThroughEffects(from, effects, 'read').tokens),
+          path,
+        },
+      ];
+    }
+
+    case 'move': {
+      if (operation.from === operation.path) {
+        return [operation];
+      }
+
+      const fromTokens = resolveTokens(document, operation.from);
+      const from = mapThroughEffects(fromTokens, effects, 'read', wins);
+      const parentTokens = fromTokens.slice(0, -1);
+
+      if (
+        from === null &&
+        !mapThroughEffects(parentTokens, effects, 'replace', false)
+      ) {
+        // The value was moved out before what contained it got removed or
+        // replaced, so the value as it was gets added instead
+        return transformOperation(
+          document,
+          {
+            op: 'add',
+            path: operation.path,
+            value: lookUpTokens(document, fromTokens),
+          },
+          other,
+          wins,
+          dropped
+        );
+      }
+
+      // The path applies after the value has been removed, so it has to be
+      // compared to what the other operation does after that too. Writes to
+      // the value itself go along with it and are left out.
+      const removal = { op: 'remove', path: operation.from };
+      const documentWithoutValue = applyPatch(document, [removal]);
+      const otherWithoutValue = transformOperation(
+        document,
+        other,
+        removal,
+        false,
+        []
+      );
+
+      let tokens = resolveTokens(documentWithoutValue, operation.path);
+      const role = additionRole(documentWithoutValue, tokens);
+      const overwrites =
+        role === 'set' && hasByPointer(documentWithoutValue, operation.path);
+
+      let isReplaced = false;
+      let state = documentWithoutValue;
+      for (const otherOperation of otherWithoutValue) {
+        const location = mapThroughEffects(
+          tokens,
+          findEffects(state, otherOperation),
+          role,
+          wins
+        );
+
+        if (location === null) {
+          tokens = null;
+          break;
+        }
+
+        tokens = location.tokens;
+        isReplaced = isReplaced || location.isReplaced;
+        state = advance(state, otherOperation);
+      }
+
+      const isMovedAway =
+        !wins &&
+        other.op === 'move' &&
+        other.from === operation.from &&
+        other.path !== operation.from;
+
+      if (from === null || isMovedAway) {
+        // Only the value itself being removed or moved elsewhere gets here.
+        // A member the move would have overwritten still goes away.
+        dropped.push({
+          operation,
+          reason: from === null ? 'orphaned' : 'overridden',
+        });
+
+        return overwrites && tokens !== null
+          ? [{ op: 'remove', path: formatPointer(tokens) }]
+          : [];
+      }
+
+      if (tokens === null) {
+        // With nowhere to move to, the value just gets removed
+        return [{ op: 'remove', path: formatPointer(from.tokens) }];
+      }
+
+      if (isReplaced || isTokenPrefix(from.tokens, tokens)) {
+        // Replacing, or moving into what is now the next element, is not
+        // expressible as a move, so the value gets removed and put back
+        const value = lookUpTokens(advance(document, other), from.tokens);
+        return [
+          { op: 'remove', path: formatPointer(from.tokens) },
+          {
+            op: isReplaced ? 'replace' : 'add',
+            path: formatPointer(tokens),
+            value,
+          },
+        ];
+      }
+
+      return [
+        {
+          ...operation,
+          from: formatPointer(from.tokens),
+          path: formatPointer(tokens),
+        },
+      ];
+    }
+  }
+}
+
+// Rebases `operations` and `others`, which both apply to `document`, onto
+// each other. Gives `[operations', others']`, where `operations'` applies
+// after `others` and `others'` after `operations`.
+function transformLists(document, operations, others, wins, dropped) {
+  const transformedOperations = [];
+
+  for (const operation of operations) {
+    let transformedOperation = [operation];
+    const transformedOthers = [];
+
+    let state = document;
+    for (const other of others) {
+      let transformedOther;
+      if (transformedOperation.length === 1) {
+        transformedOther = transformOperation(
+          state,
+          other,
+          transformedOperation[0],
+          !wins,
+          dropped.others
+        );
+        transformedOperation = transformOperation(
+          state,
+          transformedOperation[0],
+          other,
+          wins,
+          dropped.operations
+        );
+      } else {
+        [transformedOperation, transformedOther] = transformLists(
+          state,
+          transformedOperation,
+          [other],
+          wins,
+          dropped
+        );
+      }
+
+      transformedOthers.push(...transformedOther);
+      state = advance(state, other);
+    }
+
+    transformedOperations.push(...transformedOperation);
+    others = transformedOthers;
+    document = advance(document, operation);
+  }
+
+  return [transformedOperations, others];
+}
+
+// Rebases `patchB` onto `patchA`, both of which apply to `document`, so that
+// applying `patchA` and then the result is like having applied both
+export function transformPatch(patchA, patchB, document, options = {}) {
+  if (!Array.isArray(patchA) || !Array.isArray(patchB)) {
+    throw new JsonPatchError(
+      'bad patch: should be an array of operations',
+      'INVALID_PATCH'
+    );
+  }
+
+  // Without it, array indices can't be told from object keys, and a missing
+  // argument would otherwise surface as some unrelated failure further on
+  if (document === undefined) {
+    throw new JsonPatchError(
+      'bad options: document should be the one both patches were made against, was undefined',
+      'INVALID_OPTIONS'
+    );
+  }
+
+  const dropped = { operations: [], others: [] };
+  const [, transformedPatchB] = transformLists(
+    document,
+    patchA,
+    patchB,
+    options.priority !== 'b',
+    dropped
+  );
+
+  if (options.dropped) {
+    options.dropped.push(...dropped.others);
+  }
+
+  return transformedPatchB;
+}
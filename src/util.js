@@ -2,3 +2,39 @@ export const isArray = Array.isArray; // For symmetry with `isObject`
 
 export const isObject = (x) =>
   x !== null && typeof x === 'object' && !Array.isArray(x);
+
+export const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+// Only own properties count as members, so that inherited ones such as
+// `constructor` can't be reached through a pointer
+export const getMember = (container, key) =>
+  hasOwn(container, key) ? container[key] : undefined;
+
+// Assigning to `__proto__` would set the prototype instead of a member
+export const setMember = (container, key, value) => {
+  if (key === '__proto__') {
+    Object.defineProperty(container, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  } else {
+    container[key] = value;
+  }
+};
+
+export const clone = (x) => {
+  if (isArray(x)) {
+    return x.map(clone);
+  } else if (isObject(x)) {
+    const copy = {};
+    for (const [key, value] of Object.entries(x)) {
+      setMember(copy, key, clone(value));
+    }
+    return copy;
+  } else {
+    return x;
+  }
+};
@@ -0,0 +1,134 @@
+import { applyPatch } from './apply.js';
+import { JsonPatchError } from './json-patch-error.js';
+import { isPrefixOf, parsePointer } from './pointer.js';
+import { isObject } from './util.js';
+
+const ops = ['add', 'copy', 'move', 'remove', 'replace', 'test'];
+const opsWithValue = ['add', 'replace', 'test'];
+const opsWithFrom = ['copy', 'move'];
+
+function checkPointer(pointer, errors) {
+  try {
+    parsePointer(pointer);
+    return true;
+  } catch (e) {
+    if (!(e instanceof JsonPatchError)) {
+      throw e;
+    }
+
+    errors.push(e);
+    return false;
+  }
+}
+
+// Finds the same problems that would make `applyPatch` throw regardless of
+// the document, and with the same messages, but all of them
+function findStructuralErrors(operation) {
+  if (!isObject(operation)) {
+    return [
+      new JsonPatchError(
+        `bad operation: should be an object, was ${JSON.stringify(operation)}`,
+        'INVALID_OPERATION'
+      ),
+    ];
+  }
+
+  if (!ops.includes(operation.op)) {
+    return [
+      new JsonPatchError(
+        `illegal op: should be add/copy/move/remove/replace/test, was ${JSON.stringify(
+          operation.op
+        )}`,
+        'INVALID_OP'
+      ),
+    ];
+  }
+
+  const errors = [];
+
+  if (opsWithValue.includes(operation.op) && !('value' in operation)) {
+    errors.push(new JsonPatchError('missing value', 'MISSING_VALUE'));
+  }
+
+  let pointersAreValid = checkPointer(operation.path, errors);
+
+  if (opsWithFrom.includes(operation.op)) {
+    if ('from' in operation) {
+      pointersAreValid =
+        checkPointer(operation.from, errors) && pointersAreValid;
+    } else {
+      errors.push(new JsonPatchError('missing from', 'MISSING_FROM'));
+      pointersAreValid = false;
+    }
+  }
+
+  if (
+    operation.op === 'move' &&
+    pointersAreValid &&
+    operation.from !== operation.path &&
+    isPrefixOf(operation.from, operation.path)
+  ) {
+    errors.push(
+      new JsonPatchError(
+        'from pointer cannot be a prefix of path pointer',
+        'MOVE_INTO_ITSELF'
+      )
+    );
+  }
+
+  for (const error of errors) {
+    error.describe(`${operation.op} failed`);
+  }
+
+  return errors;
+}
+
+// Without a document, only the structure of the patch is checked. With one,
+// each structurally valid operation is also tried on the document as left by
+// the operations before it, skipping those that fail.
+export function validatePatch(patch, document) {
+  if (!Array.isArray(patch)) {
+    return [
+      new JsonPatchError(
+        'bad patch: should be an array of operations',
+        'INVALID_PATCH'
+      ),
+    ];
+  }
+
+  const errors = [];
+
+  for (const [operationIndex, operation] of patch.entries()) {
+    const operationErrors = findStructuralErrors(operation);
+
+    if (operationErrors.length === 0 && document !== undefined) {
+      try {
+        document = applyPatch(document, [operation]);
+      } catch (e) {
+        if (!(e instanceof JsonPatchError)) {
+          throw e;
+        }
+
+        operationErrors.push(e);
+      }
+    }
+
+    for (const error of operationErrors) {
+      // Errors from `applyPatch` count operations from the single one given
+      error.operationIndex = operationIndex;
+      error.addContext({ operation });
+
+      if (isObject(operation)) {
+        error.addContext({
+          op: operation.op,
+          path: operation.path,
+          from: operation.from,
+        });
+      }
+    }
+
+    errors.push(...operationErrors);
+  }
+
+  return errors;
+}
@@ -1,6 +1,47 @@
 import * as assert from 'assert';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
 
-import { applyPatch, JsonPatchError } from './src/index.js';
+import {
+  append,
+  applyMergePatch,
+  applyPatch,
+  applyPatchStream,
+  applyPatchWithInverse,
+  compactPatch,
+  computeETag,
+  createMergePatch,
+  createObserver,
+  createPatch,
+  createPatcher,
+  createPatchHandler,
+  escapeToken,
+  findDifferences,
+  formatPointer,
+  getByPointer,
+  getByRelativePointer,
+  handlePatchRequest,
+  hasByPointer,
+  isEqual,
+  isPrefixOf,
+  JsonPatchError,
+  mergePatchToOperations,
+  operationsToMergePatch,
+  parent,
+  parsePointer,
+  parseRelativePointer,
+  PatchDocument,
+  serializePatchStream,
+  toAbsolutePointer,
+  toRelativePointer,
+  transformPatch,
+  unescapeToken,
+  validatePatch,
+} from './src/index.js';
 
 // 1.  Introduction
 //
@@ -165,6 +206,16 @@ assert.doesNotThrow(() => {
 
   assert.deepStrictEqual(modified, { '~/': 'b' });
 }
+{
+  const original = { 'a/b/c': 'a', '~~': 'b' };
+
+  const modified = applyPatch(original, [
+    { op: 'replace', path: '/a~1b~1c', value: 'c' },
+    { op: 'replace', path: '/~0~0', value: 'd' },
+  ]);
+
+  assert.deepStrictEqual(modified, { 'a/b/c': 'c', '~~': 'd' });
+}
 //
 // 4.1.  add
 //
@@ -256,6 +307,13 @@ assert.throws(() => {
 
   assert.deepStrictEqual(modified, ['a', 'b', 'c']);
 }
+{
+  const original = { a: [{ b: 1 }] };
+
+  const modified = applyPatch(original, [{ op: 'add', path: '/a/0/c', value: 2 }]);
+
+  assert.deepStrictEqual(modified, { a: [{ b: 1, c: 2 }] });
+}
 //
 // Because this operation is designed to add to existing objects and
 // arrays, its target location will often not exist.  Although the
@@ -393,6 +451,42 @@ assert.throws(() => {
 
   assert.deepStrictEqual(modified1, modified2);
 }
+{
+  const original = ['a', 'b', 'c'];
+
+  const modified1 = applyPatch(original, [{ op: 'move', from: '/2', path: '/0' }]);
+  const modified2 = applyPatch(original, [
+    { op: 'remove', path: '/2' },
+    { op: 'add', path: '/0', value: 'c' },
+  ]);
+
+  assert.deepStrictEqual(modified1, ['c', 'a', 'b']);
+  assert.deepStrictEqual(modified1, modified2);
+}
+{
+  // Array indices in "path" refer to the array after the removal, so moving
+  // forward doesn't overwrite anything
+  assert.deepStrictEqual(
+    applyPatch(['a', 'b', 'c'], [{ op: 'move', from: '/0', path: '/2' }]),
+    ['b', 'c', 'a']
+  );
+  assert.deepStrictEqual(
+    applyPatch(['a', 'b', 'c'], [{ op: 'move', from: '/0', path: '/-' }]),
+    ['b', 'c', 'a']
+  );
+
+  // The target is added to, so it doesn't need to exist beforehand
+  assert.deepStrictEqual(
+    applyPatch({ a: 1 }, [{ op: 'move', from: '/a', path: '/b' }]),
+    { b: 1 }
+  );
+
+  // Moving onto an ancestor replaces it with what was within it
+  assert.deepStrictEqual(
+    applyPatch({ a: { b: 1 } }, [{ op: 'move', from: '/a/b', path: '/a' }]),
+    { a: 1 }
+  );
+}
 //
 // The "from" location MUST NOT be a proper prefix of the "path"
 // location; i.e., a location cannot be moved into one of its children.
@@ -551,4 +645,2376 @@ assert.doesNotThrow(() => {
   assert.deepStrictEqual(original, { a: { b: { c: 41 } } });
 }
 
+// createPatch
+//
+// Generates a patch that, when applied to the first document, yields the
+// second one.
+{
+  const before = { a: 1, b: { c: [1, 2, 3] }, d: 'removed' };
+  const after = { a: 2, b: { c: [1, 4] }, e: { f: null } };
+
+  const patch = createPatch(before, after);
+
+  assert.deepStrictEqual(patch, [
+    { op: 'remove', path: '/d' },
+    { op: 'replace', path: '/a', value: 2 },
+    { op: 'remove', path: '/b/c/2' },
+    { op: 'replace', path: '/b/c/1', value: 4 },
+    { op: 'add', path: '/e', value: { f: null } },
+  ]);
+  assert.deepStrictEqual(applyPatch(before, patch), after);
+}
+{
+  const before = [1, 2];
+  const after = [1, 2, 3, 4];
+
+  const patch = createPatch(before, after);
+
+  assert.deepStrictEqual(patch, [
+    { op: 'add', path: '/2', value: 3 },
+    { op: 'add', path: '/3', value: 4 },
+  ]);
+  assert.deepStrictEqual(applyPatch(before, patch), after);
+}
+{
+  assert.deepStrictEqual(createPatch({ a: [1] }, { a: [1] }), []);
+  assert.deepStrictEqual(createPatch({ a: 1 }, [1]), [
+    { op: 'replace', path: '', value: [1] },
+  ]);
+  assert.deepStrictEqual(createPatch(1, null), [
+    { op: 'replace', path: '', value: null },
+  ]);
+}
+{
+  const before = { '~': 1, '/': 2 };
+  const after = { '~': 3, 'a/b': 4 };
+
+  const patch = createPatch(before, after);
+
+  assert.deepStrictEqual(patch, [
+    { op: 'remove', path: '/~1' },
+    { op: 'replace', path: '/~0', value: 3 },
+    { op: 'add', path: '/a~1b', value: 4 },
+  ]);
+  assert.deepStrictEqual(applyPatch(before, patch), after);
+}
+
+// Arrays are diffed along their longest common subsequence, so insertions
+// and removals don't cascade into replacements of the following elements,
+// and elements that only changed places get moved
+{
+  const before = Array.from({ length: 5000 }, (_, i) => i);
+  const after = ['first', ...before];
+
+  assert.deepStrictEqual(createPatch(before, after), [
+    { op: 'add', path: '/0', value: 'first' },
+  ]);
+}
+{
+  const before = { list: ['a', 'b', 'c', 'd', 'e'] };
+  const after = { list: ['e', 'a', 'c', 'x', 'd'] };
+
+  const patch = createPatch(before, after);
+
+  assert.deepStrictEqual(patch, [
+    { op: 'remove', path: '/list/1' },
+    { op: 'move', from: '/list/3', path: '/list/0' },
+    { op: 'add', path: '/list/3', value: 'x' },
+  ]);
+  assert.deepStrictEqual(applyPatch(before, patch), after);
+}
+{
+  const before = [{ id: 1, name: 'a' }, { id: 2 }];
+  const after = [{ id: 1, name: 'b' }, { id: 2 }, { id: 3 }];
+
+  const patch = createPatch(before, after);
+
+  assert.deepStrictEqual(patch, [
+    { op: 'replace', path: '/0/name', value: 'b' },
+    { op: 'add', path: '/2', value: { id: 3 } },
+  ]);
+  assert.deepStrictEqual(applyPatch(before, patch), after);
+}
+{
+  const before = ['a', 'b', 'c'];
+  const after = ['c', 'a', 'b'];
+
+  assert.deepStrictEqual(createPatch(before, after, { detectMoves: false }), [
+    { op: 'remove', path: '/2' },
+    { op: 'add', path: '/0', value: 'c' },
+  ]);
+  assert.deepStrictEqual(createPatch(before, after, { arrayDiff: 'index' }), [
+    { op: 'replace', path: '/0', value: 'c' },
+    { op: 'replace', path: '/1', value: 'a' },
+    { op: 'replace', path: '/2', value: 'b' },
+  ]);
+  // Past `maxLcsSize`, the part between the common ends is diffed by index
+  assert.deepStrictEqual(createPatch(['x', ...before], ['x', ...after], { maxLcsSize: 8 }), [
+    { op: 'replace', path: '/1', value: 'c' },
+    { op: 'replace', path: '/2', value: 'a' },
+    { op: 'replace', path: '/3', value: 'b' },
+  ]);
+}
+{
+  const before = [[1, 2], { a: [3] }, 4, 5, 6];
+
+  for (const after of [
+    [6, 5, 4, { a: [3] }, [1, 2]],
+    [4, [1], { a: [3, 3] }, 7],
+    [],
+  ]) {
+    assert.deepStrictEqual(applyPatch(before, createPatch(before, after)), after);
+  }
+}
+
+// applyPatchWithInverse
+//
+// Besides the modified document, gives a patch that turns the modified
+// document back into the original one.
+{
+  const original = { a: [1, 2, 3], b: { c: 'c', d: 'd' } };
+
+  const { document, inverse } = applyPatchWithInverse(original, [
+    { op: 'add', path: '/a/-', value: 4 },
+    { op: 'remove', path: '/a/0' },
+    { op: 'replace', path: '/b/c', value: 'C' },
+    { op: 'move', from: '/b/d', path: '/e' },
+    { op: 'copy', from: '/e', path: '/b/c' },
+    { op: 'test', path: '/e', value: 'd' },
+  ]);
+
+  assert.deepStrictEqual(document, { a: [2, 3, 4], b: { c: 'd' }, e: 'd' });
+  assert.deepStrictEqual(inverse, [
+    { op: 'replace', path: '/b/c', value: 'C' },
+    { op: 'move', from: '/e', path: '/b/d' },
+    { op: 'replace', path: '/b/c', value: 'c' },
+    { op: 'add', path: '/a/0', value: 1 },
+    { op: 'remove', path: '/a/3' },
+  ]);
+  assert.deepStrictEqual(applyPatch(document, inverse), original);
+}
+{
+  const original = { a: { b: 1 }, c: 2 };
+
+  const { document, inverse } = applyPatchWithInverse(original, [
+    { op: 'move', from: '/a/b', path: '/c' },
+  ]);
+
+  assert.deepStrictEqual(inverse, [
+    { op: 'replace', path: '/c', value: 2 },
+    { op: 'add', path: '/a/b', value: 1 },
+  ]);
+  assert.deepStrictEqual(applyPatch(document, inverse), original);
+}
+{
+  const original = { a: 1 };
+
+  const { document, inverse } = applyPatchWithInverse(original, [
+    { op: 'replace', path: '', value: [] },
+    { op: 'add', path: '/0', value: 'b' },
+  ]);
+
+  assert.deepStrictEqual(document, ['b']);
+  assert.deepStrictEqual(inverse, [
+    { op: 'remove', path: '/0' },
+    { op: 'replace', path: '', value: { a: 1 } },
+  ]);
+  assert.deepStrictEqual(applyPatch(document, inverse), original);
+}
+
+// PatchDocument
+//
+// Keeps the patches applied to a document to move between its versions.
+{
+  const patchDocument = new PatchDocument({ count: 0 }, { snapshotEvery: 3 });
+  const versions = [patchDocument.value];
+
+  for (let i = 1; i <= 10; ++i) {
+    const value = patchDocument.applyPatch([
+      { op: 'replace', path: '/count', value: i },
+      { op: 'add', path: `/v${i}`, value: [i] },
+    ]);
+    assert.strictEqual(value, patchDocument.value);
+    versions.push(value);
+  }
+
+  assert.strictEqual(patchDocument.version, 10);
+  assert.deepStrictEqual([...patchDocument.snapshots.keys()], [0, 3, 6, 9]);
+  assert.strictEqual(patchDocument.canUndo, true);
+  assert.strictEqual(patchDocument.canRedo, false);
+
+  // Versions share what they didn't change
+  assert.strictEqual(versions[10].v1, versions[1].v1);
+
+  assert.deepStrictEqual(patchDocument.undo(), versions[9]);
+  assert.deepStrictEqual(patchDocument.undo(), versions[8]);
+  assert.strictEqual(patchDocument.canRedo, true);
+  assert.deepStrictEqual(patchDocument.redo(), versions[9]);
+
+  for (const version of [0, 4, 10, 2, 7, 1, 5]) {
+    assert.deepStrictEqual(patchDocument.checkout(version), versions[version]);
+    assert.strictEqual(patchDocument.version, version);
+  }
+
+  assert.throws(() => {
+    patchDocument.checkout(11);
+  }, new JsonPatchError('version 11 is not in the history, which goes from 0 to 10'));
+
+  // Applying a patch to an earlier version discards the later ones
+  patchDocument.checkout(4);
+  assert.deepStrictEqual(
+    patchDocument.applyPatch([{ op: 'remove', path: '/v1' }]),
+    { count: 4, v2: [2], v3: [3], v4: [4] }
+  );
+  assert.strictEqual(patchDocument.version, 5);
+  assert.strictEqual(patchDocument.latestVersion, 5);
+  assert.deepStrictEqual([...patchDocument.snapshots.keys()], [0, 3]);
+  assert.throws(() => {
+    patchDocument.redo();
+  }, { message: 'nothing to redo', code: 'VERSION_NOT_FOUND' });
+
+  assert.deepStrictEqual(patchDocument.checkout(0), { count: 0 });
+  assert.throws(() => {
+    patchDocument.undo();
+  }, { message: 'nothing to undo', code: 'VERSION_NOT_FOUND' });
+
+  // Failed patches change nothing
+  patchDocument.checkout(5);
+  assert.throws(() => {
+    patchDocument.applyPatch([{ op: 'remove', path: '/v1' }]);
+  }, { code: 'PATH_NOT_FOUND' });
+  assert.strictEqual(patchDocument.version, 5);
+  assert.strictEqual(patchDocument.latestVersion, 5);
+}
+{
+  const patchDocument = new PatchDocument([], { historyLimit: 3, snapshotEvery: 2 });
+  const patch = [{ op: 'add', path: '/-', value: 'a' }];
+
+  for (let i = 0; i < 5; ++i) {
+    patchDocument.applyPatch(patch);
+  }
+
+  // Patches given are kept as they were
+  patch[0].value = 'b';
+
+  assert.strictEqual(patchDocument.oldestVersion, 2);
+  assert.deepStrictEqual([...patchDocument.snapshots.keys()], [2, 4]);
+  assert.deepStrictEqual(patchDocument.checkout(2), ['a', 'a']);
+  assert.deepStrictEqual(patchDocument.checkout(5), ['a', 'a', 'a', 'a', 'a']);
+  assert.throws(() => {
+    patchDocument.checkout(1);
+  }, { code: 'VERSION_NOT_FOUND' });
+}
+assert.throws(() => {
+  new PatchDocument({}, { snapshotEvery: 0 });
+}, { code: 'INVALID_OPTIONS' });
+assert.throws(() => {
+  new PatchDocument({}, { historyLimit: -1 });
+}, { code: 'INVALID_OPTIONS' });
+
+// JSON Merge Patch (RFC 7386)
+//
+// The example of RFC 7386, section 3:
+{
+  const original = {
+    title: 'Goodbye!',
+    author: { givenName: 'John', familyName: 'Doe' },
+    tags: ['example', 'sample'],
+    content: 'This will be unchanged',
+  };
+  const mergePatch = {
+    title: 'Hello!',
+    phoneNumber: '+01-123-456-7890',
+    author: { familyName: null },
+    tags: ['example'],
+  };
+
+  const modified = applyMergePatch(original, mergePatch);
+
+  assert.deepStrictEqual(modified, {
+    title: 'Hello!',
+    author: { givenName: 'John' },
+    tags: ['example'],
+    content: 'This will be unchanged',
+    phoneNumber: '+01-123-456-7890',
+  });
+  assert.strictEqual(original.author.familyName, 'Doe');
+  assert.strictEqual(modified.content, original.content);
+
+  assert.deepStrictEqual(createMergePatch(original, modified), {
+    title: 'Hello!',
+    author: { familyName: null },
+    tags: ['example'],
+    phoneNumber: '+01-123-456-7890',
+  });
+}
+//
+// The test cases of RFC 7386, appendix A:
+for (const [original, mergePatch, result] of [
+  [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+  [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+  [{ a: 'b' }, { a: null }, {}],
+  [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+  [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+  [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+  [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+  [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+  [['a', 'b'], ['c', 'd'], ['c', 'd']],
+  [{ a: 'b' }, ['c'], ['c']],
+  [{ a: 'foo' }, null, null],
+  [{ a: 'foo' }, 'bar', 'bar'],
+  [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+  [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+  [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+]) {
+  assert.deepStrictEqual(applyMergePatch(original, mergePatch), result);
+  assert.deepStrictEqual(
+    applyPatch(original, mergePatchToOperations(original, mergePatch)),
+    result
+  );
+}
+{
+  const original = { a: { b: 1, c: 2 }, d: [1] };
+
+  assert.deepStrictEqual(
+    mergePatchToOperations(original, { a: { b: null, x: null }, d: { e: null } }),
+    [
+      { op: 'remove', path: '/a/b' },
+      { op: 'add', path: '/d', value: {} },
+    ]
+  );
+}
+{
+  const original = { a: { b: 1 }, c: 'c' };
+
+  const mergePatch = operationsToMergePatch(original, [
+    { op: 'remove', path: '/c' },
+    { op: 'add', path: '/a/d', value: { e: 'e' } },
+    { op: 'test', path: '/a/b', value: 1 },
+  ]);
+
+  assert.deepStrictEqual(mergePatch, { c: null, a: { d: { e: 'e' } } });
+}
+assert.throws(() => {
+  operationsToMergePatch({ a: 1 }, [{ op: 'replace', path: '/a', value: null }]);
+}, new JsonPatchError('merge patch cannot express a null value at "/a" since null means removal'));
+
+assert.throws(() => {
+  operationsToMergePatch({ a: [1, 2] }, [{ op: 'remove', path: '/a/0' }]);
+}, new JsonPatchError('merge patch cannot express an array edit at "/a" without replacing the whole array'));
+
+assert.throws(() => {
+  createMergePatch({}, { a: { b: null } });
+}, new JsonPatchError('merge patch cannot express a null value at "/a/b" since null means removal'));
+
+// JSON Pointer (RFC 6901)
+//
+// The examples of RFC 6901, section 5:
+{
+  const document = {
+    foo: ['bar', 'baz'],
+    '': 0,
+    'a/b': 1,
+    'c%d': 2,
+    'e^f': 3,
+    'g|h': 4,
+    'i\\j': 5,
+    'k"l': 6,
+    ' ': 7,
+    'm~n': 8,
+  };
+
+  for (const [pointer, value] of [
+    ['', document],
+    ['/foo', ['bar', 'baz']],
+    ['/foo/0', 'bar'],
+    ['/', 0],
+    ['/a~1b', 1],
+    ['/c%d', 2],
+    ['/e^f', 3],
+    ['/g|h', 4],
+    ['/i\\j', 5],
+    ['/k"l', 6],
+    ['/ ', 7],
+    ['/m~0n', 8],
+  ]) {
+    assert.deepStrictEqual(getByPointer(document, pointer), value);
+    assert.strictEqual(hasByPointer(document, pointer), true);
+    assert.strictEqual(formatPointer(parsePointer(pointer)), pointer);
+  }
+
+  for (const pointer of ['/bar', '/foo/2', '/foo/-', '/foo/01', '/foo/0/x']) {
+    assert.strictEqual(hasByPointer(document, pointer), false);
+    assert.throws(() => {
+      getByPointer(document, pointer);
+    }, new JsonPatchError('pointer does not lead anywhere'));
+  }
+}
+{
+  assert.deepStrictEqual(parsePointer(''), []);
+  assert.deepStrictEqual(parsePointer('/a~1b~1c/~01/0'), ['a/b/c', '~1', '0']);
+  assert.deepStrictEqual(formatPointer(['a/b/c', '~1', 0]), '/a~1b~1c/~01/0');
+
+  assert.strictEqual(escapeToken('~/~/'), '~0~1~0~1');
+  assert.strictEqual(unescapeToken('~0~1~0~1'), '~/~/');
+
+  assert.strictEqual(append('/a', 'b/c', 0), '/a/b~1c/0');
+  assert.strictEqual(append('', 'a'), '/a');
+  assert.strictEqual(parent('/a/b~1c'), '/a');
+  assert.strictEqual(parent('/a'), '');
+
+  assert.strictEqual(isPrefixOf('', '/a'), true);
+  assert.strictEqual(isPrefixOf('/a', '/a/b'), true);
+  assert.strictEqual(isPrefixOf('/a', '/a'), true);
+  assert.strictEqual(isPrefixOf('/a', '/ab'), false);
+  assert.strictEqual(isPrefixOf('/a/b', '/a'), false);
+}
+assert.throws(() => {
+  parent('');
+}, new JsonPatchError('the root pointer "" has no parent'));
+
+assert.throws(() => {
+  parsePointer('a');
+}, new JsonPatchError('bad path: should be "" or start with "/"'));
+
+assert.throws(() => {
+  parsePointer('/a~2');
+}, new JsonPatchError('bad path: "~" should be followed by "0" or "1", was "a~2"'));
+
+assert.throws(() => {
+  applyPatch([1, 2], [{ op: 'replace', path: '/01', value: 3 }]);
+}, new JsonPatchError('replace failed: path token is not a valid array index, was "01"'));
+
+// Comparing values
+{
+  const a = { a: 1, b: [1, 2], c: { d: 'x' }, e: [] };
+  const b = { a: 1.5, b: [1], c: { d: 'x', f: null }, e: {} };
+
+  assert.strictEqual(isEqual(a, b), false);
+  assert.deepStrictEqual(findDifferences(a, b), [
+    { pointer: '/a', a: 1, b: 1.5 },
+    { pointer: '/b/1', a: 2, b: undefined },
+    { pointer: '/c/f', a: undefined, b: null },
+    { pointer: '/e', a: [], b: {} },
+  ]);
+
+  assert.strictEqual(isEqual({ a: [1, { b: null }] }, { a: [1, { b: null }] }), true);
+  assert.strictEqual(isEqual(0, -0), true);
+  assert.strictEqual(isEqual(1, '1'), false);
+  assert.strictEqual(isEqual(null, {}), false);
+  assert.strictEqual(isEqual([], {}), false);
+
+  assert.strictEqual(isEqual(0.1 + 0.2, 0.3), false);
+  assert.strictEqual(isEqual(0.1 + 0.2, 0.3, { tolerance: 1e-9 }), true);
+  assert.strictEqual(isEqual(1, 1.5, { tolerance: 0.5 }), true);
+  assert.strictEqual(isEqual(1, 1.6, { tolerance: 0.5 }), false);
+  assert.deepStrictEqual(findDifferences([1, 2], [1.5, 2], { tolerance: 0.5 }), []);
+
+  // "é" composed and decomposed
+  const composed = '\u00e9';
+  const decomposed = 'e\u0301';
+  assert.strictEqual(isEqual(composed, decomposed), false);
+  assert.strictEqual(isEqual(composed, decomposed, { normalization: 'NFC' }), true);
+  assert.strictEqual(
+    isEqual({ [composed]: 1 }, { [decomposed]: 1 }, { normalization: 'NFC' }),
+    true
+  );
+
+  assert.strictEqual(isEqual({ a: 1, b: undefined }, { a: 1 }), false);
+  assert.strictEqual(isEqual({ a: 1, b: undefined }, { a: 1 }, { ignoreUndefined: true }), true);
+  assert.strictEqual(isEqual({ a: undefined }, { a: null }, { ignoreUndefined: true }), false);
+
+  for (const options of [
+    { tolerance: -1 },
+    { tolerance: '1' },
+    { normalization: 'nfc' },
+    { ignoreUndefined: 1 },
+  ]) {
+    assert.throws(() => {
+      isEqual(1, 1, options);
+    }, { code: 'INVALID_OPTIONS' });
+  }
+}
+{
+  const document = { total: 0.1 + 0.2, name: 'e\u0301', extra: undefined };
+  const patch = [
+    { op: 'test', path: '/total', value: 0.3 },
+    { op: 'test', path: '/name', value: '\u00e9' },
+    { op: 'test', path: '', value: { total: 0.3, name: '\u00e9' } },
+  ];
+
+  assert.throws(() => {
+    applyPatch(document, patch);
+  }, new JsonPatchError('test failed: 0.3 is not equal to 0.30000000000000004'));
+
+  assert.strictEqual(
+    applyPatch(document, patch, {
+      equality: { tolerance: 1e-9, normalization: 'NFC', ignoreUndefined: true },
+    }),
+    document
+  );
+
+  assert.throws(() => {
+    applyPatch(document, [], { equality: { tolerance: -1 } });
+  }, { code: 'INVALID_OPTIONS' });
+}
+
+// Relative JSON Pointer
+//
+// The examples of the draft, section 5.1:
+{
+  const document = {
+    foo: ['bar', 'baz'],
+    highly: { nested: { objects: true } },
+  };
+
+  for (const [basePointer, relativePointer, value] of [
+    ['/foo/1', '0', 'baz'],
+    ['/foo/1', '1/0', 'bar'],
+    ['/foo/1', '0-1', 'bar'],
+    ['/foo/1', '2/highly/nested/objects', true],
+    ['/foo/1', '0#', 1],
+    ['/foo/1', '0-1#', 0],
+    ['/foo/1', '1#', 'foo'],
+    ['/highly/nested', '0/objects', true],
+    ['/highly/nested', '1/nested/objects', true],
+    ['/highly/nested', '2/foo/0', 'bar'],
+    ['/highly/nested', '0#', 'nested'],
+    ['/highly/nested', '1#', 'highly'],
+  ]) {
+    assert.deepStrictEqual(
+      getByRelativePointer(document, basePointer, relativePointer),
+      value
+    );
+
+    if (!relativePointer.endsWith('#')) {
+      const pointer = toAbsolutePointer(basePointer, relativePointer);
+      assert.deepStrictEqual(getByPointer(document, pointer), value);
+      assert.strictEqual(
+        toAbsolutePointer(basePointer, toRelativePointer(basePointer, pointer)),
+        pointer
+      );
+    }
+  }
+
+  assert.throws(() => {
+    getByRelativePointer(document, '/foo/1', '0+1');
+  }, { code: 'PATH_NOT_FOUND' });
+  assert.throws(() => {
+    getByRelativePointer(document, '/foo/1', '0+1#');
+  }, { code: 'PATH_NOT_FOUND' });
+  assert.throws(() => {
+    getByRelativePointer(document, '/foo/1', '2#');
+  }, new JsonPatchError('relative pointer asks for the index or key of the root'));
+  assert.throws(() => {
+    getByRelativePointer(document, '/foo/1', '3');
+  }, new JsonPatchError('relative pointer goes up 3 levels from a base of 2'));
+  assert.throws(() => {
+    getByRelativePointer(document, '/highly/nested', '0+1');
+  }, { code: 'INVALID_ARRAY_INDEX' });
+  assert.throws(() => {
+    getByRelativePointer(document, '/foo/2', '1/0');
+  }, new JsonPatchError('base pointer does not lead anywhere'));
+}
+{
+  assert.deepStrictEqual(parseRelativePointer('0'), {
+    up: 0,
+    indexOffset: 0,
+    tokens: [],
+    isKeyQuery: false,
+  });
+  assert.deepStrictEqual(parseRelativePointer('12-3/a~1b/'), {
+    up: 12,
+    indexOffset: -3,
+    tokens: ['a/b', ''],
+    isKeyQuery: false,
+  });
+  assert.deepStrictEqual(parseRelativePointer('1+0#'), {
+    up: 1,
+    indexOffset: 0,
+    tokens: [],
+    isKeyQuery: true,
+  });
+
+  for (const relativePointer of ['', '/a', '01', '-1', '1+', '1+01', '0#/a', '0a', '0~']) {
+    assert.throws(() => {
+      parseRelativePointer(relativePointer);
+    }, { code: 'INVALID_POINTER' });
+  }
+
+  assert.strictEqual(toAbsolutePointer('/a/b', '0'), '/a/b');
+  assert.strictEqual(toAbsolutePointer('/a/b', '2'), '');
+  assert.strictEqual(toAbsolutePointer('/a/3', '0+2/c'), '/a/5/c');
+  assert.strictEqual(toAbsolutePointer('/a/3/b', '1-3'), '/a/0');
+  assert.throws(() => {
+    toAbsolutePointer('/a/3', '0-4');
+  }, { code: 'INDEX_OUT_OF_BOUNDS' });
+  assert.throws(() => {
+    toAbsolutePointer('/a/b', '0+1');
+  }, { code: 'INVALID_ARRAY_INDEX' });
+  assert.throws(() => {
+    toAbsolutePointer('/a/b', '0#');
+  }, { code: 'INVALID_POINTER' });
+
+  assert.strictEqual(toRelativePointer('/a/b', '/a/b'), '0');
+  assert.strictEqual(toRelativePointer('/a/b', '/a/b/c~1d'), '0/c~1d');
+  assert.strictEqual(toRelativePointer('/a/b', '/a/c'), '1/c');
+  assert.strictEqual(toRelativePointer('/a/b', ''), '2');
+  assert.strictEqual(toRelativePointer('', '/a'), '0/a');
+}
+
+// Error context
+//
+// Errors carry a stable code and tell which operation failed and where.
+{
+  const operation = { op: 'replace', path: '/a/b/c', value: 1 };
+
+  assert.throws(() => {
+    applyPatch({ a: { x: 1 } }, [{ op: 'test', path: '/a/x', value: 1 }, operation]);
+  }, {
+    message: 'replace failed: pointer points to a nonexistent location',
+    code: 'PATH_NOT_FOUND',
+    operationIndex: 1,
+    operation,
+    op: 'replace',
+    path: '/a/b/c',
+    pointer: '/a/b/c',
+    resolvedPrefix: '/a',
+    token: 'b',
+  });
+}
+assert.throws(() => {
+  applyPatch({ a: [1] }, [{ op: 'move', from: '/a/0/x', path: '/b' }]);
+}, {
+  code: 'PATH_NOT_FOUND',
+  op: 'move',
+  from: '/a/0/x',
+  path: '/b',
+  pointer: '/a/0/x',
+  resolvedPrefix: '/a/0',
+  token: 'x',
+});
+
+assert.throws(() => {
+  applyPatch({ a: [1] }, [{ op: 'add', path: '/a/2', value: 2 }]);
+}, {
+  code: 'INDEX_OUT_OF_BOUNDS',
+  resolvedPrefix: '/a',
+  token: '2',
+});
+assert.throws(() => {
+  applyPatch({ a: [1] }, [{ op: 'replace', path: '/a/1', value: 2 }]);
+}, {
+  message: 'replace failed: pointer points to an index that is out-of-bounds',
+  code: 'INDEX_OUT_OF_BOUNDS',
+  resolvedPrefix: '/a',
+  token: '1',
+});
+assert.throws(() => {
+  applyPatch({ a: [1] }, [{ op: 'remove', path: '/a/-' }]);
+}, {
+  message: 'remove failed: pointer points to an index that is out-of-bounds',
+  code: 'INDEX_OUT_OF_BOUNDS',
+  resolvedPrefix: '/a',
+  token: '-',
+});
+assert.throws(() => {
+  applyPatch({ a: [1] }, [{ op: 'replace', path: '/a/1/b', value: 2 }]);
+}, {
+  code: 'PATH_NOT_FOUND',
+  resolvedPrefix: '/a',
+  token: '1',
+});
+
+assert.throws(() => {
+  applyPatch({ a: [1] }, [{ op: 'remove', path: '/a/x' }]);
+}, {
+  code: 'INVALID_ARRAY_INDEX',
+  resolvedPrefix: '/a',
+  token: 'x',
+});
+
+assert.throws(() => {
+  applyPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]);
+}, { code: 'TEST_FAILED', operationIndex: 0 });
+
+assert.throws(() => {
+  applyPatch({}, [{ op: 'add', path: '/a' }]);
+}, { code: 'MISSING_VALUE' });
+
+assert.throws(() => {
+  applyPatch({}, [{ op: 'nope', path: '/a' }]);
+}, { code: 'INVALID_OP', op: 'nope' });
+
+assert.throws(() => {
+  applyPatch({}, {});
+}, { code: 'INVALID_PATCH' });
+
+// validatePatch
+//
+// Lists every problem in a patch instead of stopping at the first one.
+{
+  const patch = [
+    { op: 'add', path: '/a', value: 1 },
+    { op: 'add', path: 'a' },
+    null,
+    { op: 'nope', path: '/a' },
+    { op: 'copy', path: '/b' },
+    { op: 'move', from: '/a', path: '/a/b' },
+    { op: 'move', from: '/a', path: '/a' },
+    { op: 'replace', path: '/a~2', value: 1 },
+  ];
+
+  const errors = validatePatch(patch);
+
+  assert.deepStrictEqual(
+    errors.map((e) => [e.operationIndex, e.code, e.message]),
+    [
+      [1, 'MISSING_VALUE', 'add failed: missing value'],
+      [1, 'INVALID_POINTER', 'add failed: bad path: should be "" or start with "/"'],
+      [2, 'INVALID_OPERATION', 'bad operation: should be an object, was null'],
+      [3, 'INVALID_OP', 'illegal op: should be add/copy/move/remove/replace/test, was "nope"'],
+      [4, 'MISSING_FROM', 'copy failed: missing from'],
+      [5, 'MOVE_INTO_ITSELF', 'move failed: from pointer cannot be a prefix of path pointer'],
+      [7, 'INVALID_POINTER', 'replace failed: bad path: "~" should be followed by "0" or "1", was "a~2"'],
+    ]
+  );
+  assert.strictEqual(errors[0].operation, patch[1]);
+  assert.strictEqual(errors[0].path, 'a');
+}
+{
+  // With a document, the operations are also checked against it in order
+  const patch = [
+    { op: 'add', path: '/b', value: {} },
+    { op: 'add', path: '/b/c', value: 1 },
+    { op: 'remove', path: '/x' },
+    { op: 'test', path: '/a', value: 2 },
+    { op: 'replace', path: '/b/c', value: 2 },
+  ];
+
+  const errors = validatePatch(patch, { a: 1 });
+
+  assert.deepStrictEqual(
+    errors.map((e) => [e.operationIndex, e.code, e.message]),
+    [
+      [2, 'PATH_NOT_FOUND', 'remove failed: pointer does not lead anywhere'],
+      [3, 'TEST_FAILED', 'test failed: 2 is not equal to 1'],
+    ]
+  );
+  assert.deepStrictEqual(validatePatch(patch.slice(0, 2), { a: 1 }), []);
+}
+assert.deepStrictEqual(
+  validatePatch({}).map((e) => e.code),
+  ['INVALID_PATCH']
+);
+
+// Tracing
+//
+// Each applied operation gets recorded together with the document it
+// resulted in and the locations it read from and wrote to.
+{
+  const original = { a: { b: 1 }, list: [1], untouched: { c: 2 } };
+  const patch = [
+    { op: 'add', path: '/list/-', value: 2 },
+    { op: 'copy', from: '/a/b', path: '/c' },
+    { op: 'move', from: '/list/0', path: '/list/-' },
+    { op: 'test', path: '/c', value: 1 },
+    { op: 'remove', path: '/a' },
+  ];
+
+  const trace = [];
+  const modified = applyPatch(original, patch, { trace });
+
+  assert.deepStrictEqual(
+    trace.map(({ operationIndex, operation, reads, writes }) => ({
+      operationIndex,
+      operation,
+      reads,
+      writes,
+    })),
+    [
+      { operationIndex: 0, operation: patch[0], reads: [], writes: ['/list/1'] },
+      { operationIndex: 1, operation: patch[1], reads: ['/a/b'], writes: ['/c'] },
+      {
+        operationIndex: 2,
+        operation: patch[2],
+        reads: ['/list/0'],
+        writes: ['/list/0', '/list/1'],
+      },
+      { operationIndex: 3, operation: patch[3], reads: ['/c'], writes: [] },
+      { operationIndex: 4, operation: patch[4], reads: [], writes: ['/a'] },
+    ]
+  );
+  assert.deepStrictEqual(trace[0].document.list, [1, 2]);
+  assert.deepStrictEqual(trace[2].document.list, [2, 1]);
+  assert.strictEqual(trace[4].document, modified);
+
+  // Whatever an operation doesn't touch is shared with the previous document
+  assert.strictEqual(trace[0].document.a, original.a);
+  assert.strictEqual(trace[4].document.untouched, original.untouched);
+}
+{
+  // On failure, the trace shows how far the patch got
+  const trace = [];
+
+  assert.throws(() => {
+    applyPatch({ a: 1 }, [
+      { op: 'replace', path: '/a', value: 2 },
+      { op: 'test', path: '/a', value: 1 },
+    ], { trace });
+  }, { code: 'TEST_FAILED', operationIndex: 1 });
+
+  assert.strictEqual(trace.length, 1);
+  assert.deepStrictEqual(trace[0].document, { a: 2 });
+}
+
+// Access control
+//
+// Operations may only read and write where the rules allow, which is checked
+// before any of the patch gets applied.
+{
+  const original = {
+    profile: { name: 'a', tags: ['x', 'y'] },
+    billing: { card: '1234' },
+    roles: ['user'],
+    secrets: { key: 'k' },
+    items: [{ id: 1, price: 1 }],
+  };
+  const access = { allow: ['/profile/**', '/items/*/id'], deny: ['/billing', '/roles'] };
+
+  const isAllowed = (patch, rules = access) => {
+    try {
+      applyPatch(original, patch, { access: rules });
+      return true;
+    } catch (e) {
+      if (e.code !== 'ACCESS_DENIED') {
+        throw e;
+      }
+      return false;
+    }
+  };
+
+  for (const [patch, expected] of [
+    [[{ op: 'replace', path: '/profile/name', value: 'b' }], true],
+    [[{ op: 'replace', path: '/profile', value: {} }], true],
+    [[{ op: 'add', path: '/profile/tags/0', value: 'z' }], true],
+    [[{ op: 'test', path: '/profile/tags/1', value: 'y' }], true],
+    [[{ op: 'replace', path: '/items/0/id', value: 2 }], true],
+    [[{ op: 'move', from: '/profile/tags/0', path: '/profile/tag' }], true],
+
+    [[{ op: 'replace', path: '/items/0/price', value: 0 }], false],
+    [[{ op: 'replace', path: '/billing/card', value: '' }], false],
+    [[{ op: 'replace', path: '/roles/0', value: 'admin' }], false],
+    [[{ op: 'add', path: '/roles/-', value: 'admin' }], false],
+    // Writing to an ancestor writes to what's within it
+    [[{ op: 'replace', path: '', value: {} }], false],
+    [[{ op: 'remove', path: '/items/0' }], false],
+    // Reads count too
+    [[{ op: 'copy', from: '/secrets/key', path: '/profile/name' }], false],
+    [[{ op: 'test', path: '/secrets/key', value: 'k' }], false],
+    [[{ op: 'move', from: '/profile/name', path: '/billing/name' }], false],
+    [[{ op: 'move', from: '/billing/card', path: '/profile/card' }], false],
+  ]) {
+    assert.strictEqual(isAllowed(patch), expected, JSON.stringify(patch));
+  }
+
+  const deny = { deny: ['/secrets', '/items/*/price'] };
+  assert.strictEqual(isAllowed([{ op: 'replace', path: '/roles/0', value: 'a' }], deny), true);
+  assert.strictEqual(isAllowed([{ op: 'replace', path: '/items/0/id', value: 2 }], deny), true);
+  assert.strictEqual(isAllowed([{ op: 'test', path: '', value: original }], deny), false);
+  assert.strictEqual(isAllowed([{ op: 'copy', from: '/secrets', path: '/a' }], deny), false);
+  assert.strictEqual(isAllowed([{ op: 'remove', path: '/items/0' }], deny), false);
+
+  // Inserting into an array shifts the elements after it
+  const shifted = { deny: ['/profile/tags/1'] };
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/tags/2', value: 'z' }], shifted), true);
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/tags/-', value: 'z' }], shifted), false);
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/tags/0', value: 'z' }], shifted), false);
+  assert.strictEqual(isAllowed([{ op: 'replace', path: '/profile/tags/0', value: 'z' }], shifted), true);
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/tags/0', value: 'z' }], { allow: ['/profile/tags/0'] }), false);
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/tags/0', value: 'z' }], { allow: ['/profile/tags/*'] }), true);
+  assert.strictEqual(isAllowed([{ op: 'replace', path: '/profile/name', value: 'b' }], { allow: ['/**/name'] }), true);
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/tags/0', value: 1 }], { deny: ['/*/name'] }), true);
+  // The value added could have a name in it
+  assert.strictEqual(isAllowed([{ op: 'add', path: '/profile/x', value: 1 }], { deny: ['/**/name'] }), false);
+  assert.strictEqual(isAllowed([{ op: 'replace', path: '/profile', value: {} }], { deny: ['/**/name'] }), false);
+
+  // Long pointers are matched without recursion, visiting each pair of
+  // positions once however many "**" there are
+  const longPath = `/profile${'/x'.repeat(50000)}`;
+  const rules = { allow: ['/**/x/**/x/**/y'], deny: ['/**/y/**/z'] };
+  assert.strictEqual(isAllowed([{ op: 'add', path: longPath, value: 1 }], rules), false);
+  // Getting past the rules, it fails for the path not being there
+  assert.throws(() => {
+    applyPatch(original, [{ op: 'add', path: `${longPath}/y`, value: 1 }], {
+      access: { allow: ['/**/x/**/y'] },
+    });
+  }, { code: 'PATH_NOT_FOUND' });
+
+  // Nothing gets applied, not even in place
+  const document = { profile: { name: 'a' }, roles: [] };
+  assert.throws(() => {
+    applyPatch(document, [
+      { op: 'replace', path: '/profile/name', value: 'b' },
+      { op: 'add', path: '/roles/-', value: 'admin' },
+    ], { access, mutate: true });
+  }, {
+    message: 'access denied: add may not write to "/roles/-"',
+    code: 'ACCESS_DENIED',
+    operationIndex: 1,
+    op: 'add',
+    pointer: '/roles/-',
+  });
+  assert.deepStrictEqual(document, { profile: { name: 'a' }, roles: [] });
+
+  // Malformed operations are rejected as usual
+  assert.throws(() => {
+    applyPatch(original, [{ op: 'add', value: 1 }], { access });
+  }, { code: 'INVALID_POINTER' });
+
+  for (const rules of [null, { allow: '/a' }, { deny: ['a'] }]) {
+    assert.throws(() => {
+      applyPatch(original, [], { access: rules });
+    }, { code: 'INVALID_OPTIONS' });
+  }
+
+  // Custom operations are held to the rules in whatever their helpers do
+  const patcher = createPatcher({
+    operations: {
+      touch: (document, pointer, operation, { replace }) =>
+        replace(document, operation.target, 'pwned'),
+      peek: (document, pointer, operation, { get, replace }) =>
+        replace(document, pointer, get(document, operation.target)),
+    },
+  });
+  const customDocument = { profile: {}, billing: 1 };
+  assert.throws(() => {
+    patcher.applyPatch(customDocument, [{ op: 'touch', path: '/profile', target: '/billing' }], {
+      access: { allow: ['/profile/**'] },
+      mutate: true,
+    });
+  }, {
+    message: 'touch failed: access denied: replace may not write to "/billing"',
+    code: 'ACCESS_DENIED',
+    operationIndex: 0,
+    op: 'touch',
+    pointer: '/billing',
+  });
+  assert.throws(() => {
+    patcher.applyPatch(customDocument, [{ op: 'peek', path: '/profile', target: '/billing' }], {
+      access: { deny: ['/billing'] },
+    });
+  }, { message: 'peek failed: access denied: get may not read from "/billing"', code: 'ACCESS_DENIED' });
+  assert.deepStrictEqual(customDocument, { profile: {}, billing: 1 });
+  assert.deepStrictEqual(
+    patcher.applyPatch(customDocument, [{ op: 'touch', path: '/profile', target: '/profile' }], {
+      access: { allow: ['/profile/**'] },
+    }),
+    { profile: 'pwned', billing: 1 }
+  );
+}
+
+// Prototype pollution
+//
+// Pointers only lead to own members, and "__proto__", "constructor" and
+// "prototype" are plain keys like any other. Payloads are parsed from JSON
+// since "__proto__" in an object literal would set the prototype.
+{
+  const payloads = JSON.parse(`[
+    [{ "op": "add", "path": "/__proto__/polluted", "value": true }],
+    [{ "op": "replace", "path": "/__proto__/polluted", "value": true }],
+    [{ "op": "add", "path": "/constructor/prototype/polluted", "value": true }],
+    [{ "op": "replace", "path": "/constructor/prototype/polluted", "value": true }],
+    [{ "op": "add", "path": "/a/__proto__/polluted", "value": true }],
+    [{ "op": "add", "path": "/list/0/constructor/prototype/polluted", "value": true }],
+    [{ "op": "copy", "from": "/a", "path": "/__proto__/polluted" }],
+    [{ "op": "move", "from": "/a", "path": "/constructor/prototype/polluted" }],
+    [{ "op": "copy", "from": "/constructor", "path": "/b" }],
+    [{ "op": "move", "from": "/toString", "path": "/b" }],
+    [{ "op": "test", "path": "/constructor", "value": {} }],
+    [{ "op": "remove", "path": "/hasOwnProperty" }],
+    [{ "op": "replace", "path": "/__proto__", "value": { "polluted": true } }],
+    [{ "op": "add", "path": "/__proto__", "value": { "polluted": true } }],
+    [{ "op": "add", "path": "/a/__proto__", "value": { "polluted": true } }],
+    [{ "op": "add", "path": "/a", "value": { "__proto__": { "polluted": true } } }],
+    [
+      { "op": "add", "path": "/__proto__", "value": {} },
+      { "op": "add", "path": "/__proto__/polluted", "value": true },
+      { "op": "copy", "from": "/__proto__", "path": "/a/__proto__" },
+      { "op": "move", "from": "/a/__proto__", "path": "/prototype" }
+    ]
+  ]`);
+
+  const assertIntact = (value) => {
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.polluted, undefined);
+    assert.strictEqual(Function.prototype.polluted, undefined);
+
+    if (Array.isArray(value)) {
+      value.forEach(assertIntact);
+    } else if (value !== null && typeof value === 'object') {
+      assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+      Object.values(value).forEach(assertIntact);
+    }
+  };
+
+  for (const patch of payloads) {
+    for (const mutate of [false, true]) {
+      const document = { a: {}, list: [{}] };
+
+      let modified;
+      try {
+        modified = applyPatch(document, patch, { mutate });
+      } catch (e) {
+        assert.ok(e instanceof JsonPatchError, e);
+      }
+
+      assertIntact(document);
+      assertIntact(modified);
+
+      if (/__proto__|constructor|prototype/.test(JSON.stringify(patch))) {
+        assert.throws(() => {
+          applyPatch(document, patch, { rejectUnsafeKeys: true });
+        }, { code: 'UNSAFE_KEY' });
+      }
+    }
+  }
+
+  // What can be applied ends up as own members
+  const modified = applyPatch({ a: {} }, payloads[payloads.length - 1]);
+  assert.deepStrictEqual(Object.keys(modified), ['a', '__proto__', 'prototype']);
+  assert.deepStrictEqual(getByPointer(modified, '/prototype'), { polluted: true });
+  assert.strictEqual(modified.polluted, undefined);
+
+  for (const pointer of ['/constructor', '/__proto__', '/toString', '/a/constructor/name']) {
+    assert.strictEqual(hasByPointer({ a: {} }, pointer), false);
+    assert.throws(() => {
+      getByPointer({ a: {} }, pointer);
+    }, { code: 'PATH_NOT_FOUND' });
+  }
+
+  const parsed = JSON.parse('{ "__proto__": { "polluted": true }, "constructor": 1 }');
+  assertIntact(applyMergePatch({}, parsed));
+  assertIntact(applyMergePatch({ a: 1 }, { a: parsed }));
+  assert.deepStrictEqual(Object.keys(applyMergePatch({}, parsed)), ['__proto__', 'constructor']);
+  assertIntact(applyPatch({}, mergePatchToOperations({}, parsed)));
+  assert.deepStrictEqual(createMergePatch({}, parsed), parsed);
+  assertIntact(createMergePatch({}, parsed));
+
+  assert.deepStrictEqual(createPatch({}, parsed), [
+    { op: 'add', path: '/__proto__', value: { polluted: true } },
+    { op: 'add', path: '/constructor', value: 1 },
+  ]);
+  assertIntact(applyPatch({}, createPatch({}, parsed)));
+  assert.deepStrictEqual(createPatch({ constructor: 1 }, {}), [
+    { op: 'remove', path: '/constructor' },
+  ]);
+
+  assert.throws(() => {
+    applyPatch({}, [{ op: 'test', path: '', value: { constructor: Object } }]);
+  }, { code: 'TEST_FAILED' });
+  assert.strictEqual(isEqual({ toString: 1 }, { valueOf: 1 }), false);
+
+  assert.throws(() => {
+    applyPatch({}, [{ op: 'add', path: '/a', value: { b: [JSON.parse('{ "prototype": 1 }')] } }], {
+      rejectUnsafeKeys: true,
+    });
+  }, {
+    message: 'bad value: "prototype" is an unsafe key',
+    code: 'UNSAFE_KEY',
+    operationIndex: 0,
+  });
+  assert.deepStrictEqual(
+    applyPatch({}, [{ op: 'add', path: '/protos', value: { constructors: 1 } }], {
+      rejectUnsafeKeys: true,
+    }),
+    { protos: { constructors: 1 } }
+  );
+
+  // Values too deep to walk recursively are looked through all the same
+  let deep = JSON.parse('{ "constructor": 1 }');
+  for (let i = 0; i < 100000; ++i) {
+    deep = i % 2 === 0 ? [deep] : { a: deep };
+  }
+  assert.throws(() => {
+    applyPatch({}, [{ op: 'add', path: '/a', value: deep }], { rejectUnsafeKeys: true });
+  }, { code: 'UNSAFE_KEY' });
+}
+
+// Resource limits
+//
+// Patches over a limit are rejected before they can cost much, and documents
+// are left as they were.
+{
+  const exceeds = (document, patch, limits, options = {}) => {
+    try {
+      applyPatch(document, patch, { ...options, limits });
+      return false;
+    } catch (e) {
+      if (e.code !== 'LIMIT_EXCEEDED') {
+        throw e;
+      }
+      return e.limit;
+    }
+  };
+
+  const add = (path, value) => ({ op: 'add', path, value });
+
+  assert.strictEqual(exceeds({}, [add('/a', 1), add('/b', 2)], { maxOperations: 2 }), false);
+  assert.strictEqual(exceeds({}, [add('/a', 1), add('/b', 2)], { maxOperations: 1 }), 'maxOperations');
+
+  assert.strictEqual(exceeds({ a: { b: {} } }, [add('/a/b/c', 1)], { maxPointerDepth: 3 }), false);
+  assert.strictEqual(exceeds({ a: { b: {} } }, [add('/a/b/c', 1)], { maxPointerDepth: 2 }), 'maxPointerDepth');
+  assert.strictEqual(
+    exceeds({ a: { b: 1 } }, [{ op: 'move', from: '/a/b', path: '/c' }], { maxPointerDepth: 1 }),
+    'maxPointerDepth'
+  );
+
+  assert.strictEqual(exceeds({}, [add('/a', [[1]])], { maxValueDepth: 2 }), false);
+  assert.strictEqual(exceeds({}, [add('/a', [[1]])], { maxValueDepth: 1 }), 'maxValueDepth');
+  assert.strictEqual(exceeds({}, [add('/a', 1)], { maxValueDepth: 0 }), false);
+  assert.strictEqual(exceeds({}, [add('/a', { b: [1, 2] })], { maxValueSize: 4 }), false);
+  assert.strictEqual(exceeds({}, [add('/a', { b: [1, 2] })], { maxValueSize: 3 }), 'maxValueSize');
+  assert.strictEqual(
+    exceeds({ a: 1 }, [{ op: 'test', path: '/a', value: [1, 2, 3] }], { maxValueSize: 3 }),
+    'maxValueSize'
+  );
+
+  // Values too deep to walk recursively are measured all the same
+  let deep = 1;
+  for (let i = 0; i < 100000; ++i) {
+    deep = [deep];
+  }
+  assert.strictEqual(exceeds({}, [add('/a', deep)], { maxValueDepth: 1000 }), 'maxValueDepth');
+  assert.strictEqual(exceeds({}, [add('/a', deep)], { maxValueSize: 1000 }), 'maxValueSize');
+
+  // Limits come first, before the other checks go through the patch
+  let deepObject = 1;
+  for (let i = 0; i < 200000; ++i) {
+    deepObject = { a: deepObject };
+  }
+  assert.strictEqual(
+    exceeds({}, [add('/a', deepObject)], { maxValueDepth: 100 }, { rejectUnsafeKeys: true, schema: true }),
+    'maxValueDepth'
+  );
+  const deepPath = '/a'.repeat(50000);
+  assert.strictEqual(
+    exceeds({}, [add(deepPath, 1)], { maxPointerDepth: 10 }, { access: { allow: ['/**/b/**/c'] } }),
+    'maxPointerDepth'
+  );
+
+  // Sizes count every value, containers included. The document is measured
+  // before anything gets applied, so each patch grows it in the end to tell
+  // the size it had reached.
+  const document = { a: [1, 2], b: { c: 3 } };
+  assert.strictEqual(exceeds(document, [], { maxDocumentSize: 6 }), false);
+  assert.strictEqual(exceeds(document, [], { maxDocumentSize: 5 }), 'maxDocumentSize');
+  const grow = add('/z', [0, 0, 0, 0, 0, 0]);
+  for (const [patch, size] of [
+    [[add('/a/-', [4])], 8],
+    [[add('/b/c', [4])], 7],
+    [[add('', {})], 1],
+    [[{ op: 'replace', path: '/a', value: 1 }], 4],
+    [[{ op: 'remove', path: '/b' }], 4],
+    [[{ op: 'copy', from: '/a', path: '/b/c' }], 8],
+    [[{ op: 'copy', from: '/a', path: '/a/0' }], 9],
+    [[{ op: 'copy', from: '/b', path: '' }], 2],
+    [[{ op: 'move', from: '/a', path: '/b/c' }], 5],
+    [[{ op: 'move', from: '/b/c', path: '/b' }], 5],
+    [[{ op: 'move', from: '/a/0', path: '/a/1' }], 6],
+    [[{ op: 'move', from: '/b', path: '' }], 2],
+    [[{ op: 'test', path: '/a', value: [1, 2] }], 6],
+    [[{ op: 'remove', path: '/a/0' }, add('/a/-', 1), add('/d', 1)], 7],
+  ]) {
+    const grown = [...patch, grow];
+    assert.strictEqual(exceeds(document, grown, { maxDocumentSize: size + 7 }), false, JSON.stringify(patch));
+    assert.strictEqual(
+      exceeds(document, grown, { maxDocumentSize: size + 6 }),
+      'maxDocumentSize',
+      JSON.stringify(patch)
+    );
+  }
+
+  // Copying over and over doubles the document each time, but it's stopped
+  // as soon as it would get too big, having measured no more than the limit
+  const doubling = [add('/a', [0])];
+  for (let i = 0; i < 1000; ++i) {
+    doubling.push({ op: 'copy', from: '/a', path: '/a/-' });
+  }
+  for (const mutate of [false, true]) {
+    const original = { a: [] };
+    assert.throws(() => {
+      applyPatch(original, doubling, { mutate, limits: { maxDocumentSize: 10000 } });
+    }, {
+      message: 'limit exceeded: document has more than 10000 values',
+      code: 'LIMIT_EXCEEDED',
+      limit: 'maxDocumentSize',
+      operationIndex: 13,
+      op: 'copy',
+    });
+    assert.deepStrictEqual(original, { a: [] });
+  }
+
+  // Custom operations are measured once they've been applied
+  const { applyPatch: applyCustomPatch } = createPatcher({
+    operations: {
+      fill: (document, path, operation, { add }) => add(document, path, new Array(operation.count).fill(0)),
+    },
+  });
+  assert.deepStrictEqual(
+    applyCustomPatch({}, [{ op: 'fill', path: '/a', count: 2 }], { limits: { maxDocumentSize: 4 } }),
+    { a: [0, 0] }
+  );
+  assert.throws(() => {
+    applyCustomPatch({}, [{ op: 'fill', path: '/a', count: 3 }], { limits: { maxDocumentSize: 4 } });
+  }, { code: 'LIMIT_EXCEEDED', operationIndex: 0 });
+
+  // Limits are checked before anything gets applied, even in place
+  const original = { a: 1 };
+  assert.throws(() => {
+    applyPatch(original, [{ op: 'remove', path: '/a' }, add('/b', [1, 2])], {
+      mutate: true,
+      limits: { maxValueSize: 2 },
+    });
+  }, {
+    message: 'limit exceeded: value is made of more than 2 values',
+    code: 'LIMIT_EXCEEDED',
+    limit: 'maxValueSize',
+    operationIndex: 1,
+  });
+  assert.deepStrictEqual(original, { a: 1 });
+
+  // Malformed operations are rejected as usual
+  assert.throws(() => {
+    applyPatch({}, [{ op: 'remove', path: '/a' }], { limits: { maxDocumentSize: 10 } });
+  }, { code: 'PATH_NOT_FOUND' });
+
+  for (const limits of [null, { maxOperations: -1 }, { maxDocumentSize: 1.5 }, { maxValueSize: '10' }]) {
+    assert.throws(() => {
+      applyPatch({}, [], { limits });
+    }, { code: 'INVALID_OPTIONS' });
+  }
+  assert.strictEqual(exceeds({}, [add('/a', 1)], { maxOperations: Infinity }), false);
+}
+
+// Schema validation
+//
+// The result has to match the schema where the patch changed it, and the
+// operation to blame gets reported along with where the schema failed.
+{
+  const schema = {
+    type: 'object',
+    required: ['name', 'tags'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 3 },
+      age: { type: 'integer', minimum: 0, maximum: 150 },
+      role: { enum: ['user', 'admin', { custom: true }] },
+      tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 },
+      meta: { type: 'object', additionalProperties: { type: ['number', 'null'] } },
+      nothing: false,
+      anything: true,
+    },
+    additionalProperties: false,
+  };
+  const original = { name: 'ann', age: 30, role: 'user', tags: ['a'], meta: { x: 1 } };
+
+  const violationOf = (patch, document = original) => {
+    try {
+      applyPatch(document, patch, { schema });
+      return undefined;
+    } catch (e) {
+      if (e.code !== 'SCHEMA_VIOLATION') {
+        throw e;
+      }
+      return [e.pointer, e.schemaPointer, e.operationIndex];
+    }
+  };
+
+  for (const [patch, expected] of [
+    [[{ op: 'replace', path: '/name', value: 'bob' }], undefined],
+    [[{ op: 'replace', path: '/role', value: { custom: true } }], undefined],
+    [[{ op: 'add', path: '/meta/y', value: null }], undefined],
+    [[{ op: 'add', path: '/anything', value: [{}] }], undefined],
+    [[{ op: 'replace', path: '/name', value: '👍👍👍' }], undefined],
+    [[{ op: 'replace', path: '/age', value: 1.0 }], undefined],
+
+    [[{ op: 'remove', path: '/name' }], ['', '/required', 0]],
+    [[{ op: 'replace', path: '/name', value: 1 }], ['/name', '/properties/name/type', 0]],
+    [[{ op: 'replace', path: '/name', value: '' }], ['/name', '/properties/name/minLength', 0]],
+    [[{ op: 'replace', path: '/name', value: 'anne' }], ['/name', '/properties/name/maxLength', 0]],
+    [[{ op: 'replace', path: '/age', value: 1.5 }], ['/age', '/properties/age/type', 0]],
+    [[{ op: 'replace', path: '/age', value: -1 }], ['/age', '/properties/age/minimum', 0]],
+    [[{ op: 'replace', path: '/age', value: 151 }], ['/age', '/properties/age/maximum', 0]],
+    [[{ op: 'replace', path: '/role', value: 'root' }], ['/role', '/properties/role/enum', 0]],
+    [[{ op: 'remove', path: '/tags/0' }], ['/tags', '/properties/tags/minItems', 0]],
+    [[{ op: 'add', path: '/tags/0', value: 1 }], ['/tags/0', '/properties/tags/items/type', 0]],
+    [[{ op: 'add', path: '/meta/y', value: 'z' }], ['/meta/y', '/properties/meta/additionalProperties/type', 0]],
+    [[{ op: 'add', path: '/nothing', value: 1 }], ['/nothing', '/properties/nothing', 0]],
+    [[{ op: 'copy', from: '/name', path: '/nickname' }], ['', '/additionalProperties', 0]],
+    [[{ op: 'move', from: '/tags', path: '/meta/tags' }], ['', '/required', 0]],
+    [[{ op: 'add', path: '', value: [] }], ['', '/type', 0]],
+    // The last operation to change what failed gets the blame
+    [
+      [
+        { op: 'replace', path: '/name', value: 'bob' },
+        { op: 'add', path: '/tags/-', value: 'b' },
+        { op: 'test', path: '/age', value: 30 },
+        { op: 'add', path: '/tags/-', value: 'c' },
+        { op: 'add', path: '/tags/0', value: 'd' },
+      ],
+      ['/tags', '/properties/tags/maxItems', 4],
+    ],
+    [
+      [
+        { op: 'replace', path: '/tags/0', value: 2 },
+        { op: 'replace', path: '/name', value: 'bob' },
+      ],
+      ['/tags/0', '/properties/tags/items/type', 0],
+    ],
+  ]) {
+    assert.deepStrictEqual(violationOf(patch), expected, JSON.stringify(patch));
+  }
+
+  // Only the result has to match, not every step on the way to it
+  assert.deepStrictEqual(
+    applyPatch(original, [
+      { op: 'remove', path: '/name' },
+      { op: 'add', path: '/name', value: 'bob' },
+    ], { schema }),
+    { age: 30, role: 'user', tags: ['a'], meta: { x: 1 }, name: 'bob' }
+  );
+
+  // Whatever the patch didn't change isn't validated again
+  const invalid = { ...original, age: 'old', meta: { x: 'y' } };
+  assert.strictEqual(violationOf([{ op: 'replace', path: '/name', value: 'bob' }], invalid), undefined);
+  assert.strictEqual(violationOf([{ op: 'add', path: '/meta/z', value: 1 }], invalid), undefined);
+  assert.deepStrictEqual(violationOf([{ op: 'replace', path: '/meta', value: { x: 'y' } }], invalid), [
+    '/meta/x',
+    '/properties/meta/additionalProperties/type',
+    0,
+  ]);
+
+  // Nothing gets applied, not even in place
+  const document = { name: 'ann', tags: ['a'] };
+  assert.throws(() => {
+    applyPatch(document, [
+      { op: 'add', path: '/tags/-', value: 'b' },
+      { op: 'replace', path: '/name', value: 'annie' },
+    ], { schema, mutate: true });
+  }, {
+    message: 'schema violation: "/name" should be at most 3 characters long, was 5',
+    code: 'SCHEMA_VIOLATION',
+    pointer: '/name',
+    schemaPointer: '/properties/name/maxLength',
+    operationIndex: 1,
+    op: 'replace',
+  });
+  assert.deepStrictEqual(document, { name: 'ann', tags: ['a'] });
+
+  assert.deepStrictEqual(applyPatch({}, [{ op: 'add', path: '/a', value: 1 }], { schema: true }), { a: 1 });
+  assert.throws(() => {
+    applyPatch({}, [{ op: 'add', path: '/a', value: 1 }], { schema: false });
+  }, { code: 'SCHEMA_VIOLATION', pointer: '', schemaPointer: '' });
+
+  // Operations that don't apply fail as usual
+  assert.throws(() => {
+    applyPatch(original, [{ op: 'remove', path: '/missing' }], { schema });
+  }, { code: 'PATH_NOT_FOUND' });
+
+  // What custom operations write through their helpers gets validated too
+  const { applyPatch: applyCustomPatch } = createPatcher({
+    operations: {
+      touch: (document, pointer, operation, { replace }) =>
+        replace(document, operation.target, 'pwned'),
+    },
+  });
+  assert.throws(() => {
+    applyCustomPatch({ profile: {}, billing: 1 }, [{ op: 'touch', path: '/profile', target: '/billing' }], {
+      schema: { properties: { billing: { type: 'number' } } },
+    });
+  }, {
+    code: 'SCHEMA_VIOLATION',
+    pointer: '/billing',
+    operationIndex: 0,
+    op: 'touch',
+  });
+
+  for (const badSchema of [
+    null,
+    { type: 'text' },
+    { type: [] },
+    { required: 'name' },
+    { properties: [] },
+    { properties: { a: { minLength: -1 } } },
+    { items: 1 },
+    { additionalProperties: { enum: 'a' } },
+  ]) {
+    assert.throws(() => {
+      applyPatch({}, [], { schema: badSchema });
+    }, { code: 'INVALID_OPTIONS' });
+  }
+}
+
+// In-place modification
+//
+// With the `mutate` option, the document gets modified instead of copied.
+{
+  const original = { a: { b: [1, 2] }, c: 'c' };
+  const a = original.a;
+  const value = { d: 'd' };
+
+  const modified = applyPatch(original, [
+    { op: 'add', path: '/a/b/0', value },
+    { op: 'remove', path: '/c' },
+    { op: 'copy', from: '/a/b/0', path: '/e' },
+    { op: 'add', path: '/e/f', value: 'f' },
+  ], { mutate: true });
+
+  assert.strictEqual(modified, original);
+  assert.strictEqual(modified.a, a);
+  assert.deepStrictEqual(modified, {
+    a: { b: [{ d: 'd' }, 1, 2] },
+    e: { d: 'd', f: 'f' },
+  });
+
+  // Values from the patch don't become part of the document
+  modified.a.b[0].d = 'changed';
+  assert.deepStrictEqual(value, { d: 'd' });
+}
+{
+  const original = { a: { b: [1, 2] }, c: { d: 'd' } };
+
+  assert.throws(() => {
+    applyPatch(original, [
+      { op: 'remove', path: '/a/b/0' },
+      { op: 'move', from: '/c/d', path: '/a/e' },
+      { op: 'replace', path: '/a/b/0', value: 3 },
+      { op: 'add', path: '/a/b/-', value: 4 },
+      { op: 'test', path: '/a/e', value: 'x' },
+    ], { mutate: true });
+  }, { code: 'TEST_FAILED', operationIndex: 4 });
+
+  // Patches are atomic, so the modifications get reverted on failure
+  assert.deepStrictEqual(original, { a: { b: [1, 2] }, c: { d: 'd' } });
+}
+{
+  // Down to the order of the keys
+  const original = { a: 1, b: 2, c: { d: 3, e: 4 } };
+
+  assert.throws(() => {
+    applyPatch(original, [
+      { op: 'remove', path: '/a' },
+      { op: 'move', from: '/c/d', path: '/c/f' },
+      { op: 'add', path: '/a', value: 5 },
+      { op: 'remove', path: '/c/e' },
+      { op: 'test', path: '/b', value: 3 },
+    ], { mutate: true });
+  }, { code: 'TEST_FAILED' });
+
+  assert.strictEqual(JSON.stringify(original), '{"a":1,"b":2,"c":{"d":3,"e":4}}');
+}
+{
+  const original = { a: 1 };
+
+  const modified = applyPatch(original, [{ op: 'replace', path: '', value: [] }], {
+    mutate: true,
+  });
+
+  // The root can't be replaced in place
+  assert.deepStrictEqual(modified, []);
+  assert.deepStrictEqual(original, { a: 1 });
+}
+assert.throws(() => {
+  applyPatch({}, [], { mutate: true, trace: [] });
+}, { code: 'INVALID_OPTIONS' });
+
+// Copy-on-write
+//
+// A patch copies each container it modifies once and then keeps modifying
+// the copy, which must never show in the original document or in values
+// that appear in more than one place.
+{
+  const freeze = (value) => {
+    if (typeof value === 'object' && value !== null) {
+      Object.values(value).forEach(freeze);
+      Object.freeze(value);
+    }
+    return value;
+  };
+
+  const original = freeze({ a: { b: [1, 2], c: { d: 1 } }, e: { f: 1 } });
+
+  const modified = applyPatch(original, [
+    { op: 'add', path: '/a/b/-', value: 3 },
+    { op: 'replace', path: '/a/b/0', value: 0 },
+    { op: 'copy', from: '/a/b', path: '/copy' },
+    { op: 'add', path: '/copy/-', value: 4 },
+    { op: 'copy', from: '/a/c', path: '/a/b/-' },
+    { op: 'replace', path: '/a/b/3/d', value: 2 },
+    { op: 'move', from: '/a/c', path: '/moved' },
+    { op: 'add', path: '/moved/g', value: 1 },
+  ]);
+
+  assert.deepStrictEqual(modified, {
+    a: { b: [0, 2, 3, { d: 2 }] },
+    e: { f: 1 },
+    copy: [0, 2, 3, 4],
+    moved: { d: 1, g: 1 },
+  });
+  assert.strictEqual(modified.e, original.e);
+}
+
+// Compacting patches
+{
+  const assertCompacts = (document, patch, expected) => {
+    const compacted = compactPatch(patch);
+
+    assert.deepStrictEqual(compacted, expected);
+    assert.deepStrictEqual(
+      applyPatch(document, compacted),
+      applyPatch(document, patch)
+    );
+  };
+
+  // Consecutive operations on the same path, with others in between
+  assertCompacts(
+    { title: '', body: '' },
+    [
+      { op: 'replace', path: '/title', value: 'H' },
+      { op: 'replace', path: '/body', value: 'x' },
+      { op: 'replace', path: '/title', value: 'Hi' },
+      { op: 'test', path: '/title', value: 'Hi' },
+    ],
+    [
+      { op: 'replace', path: '/title', value: 'Hi' },
+      { op: 'replace', path: '/body', value: 'x' },
+    ]
+  );
+
+  // Operations within a value the patch has added
+  assertCompacts(
+    {},
+    [
+      { op: 'add', path: '/a', value: { b: [] } },
+      { op: 'add', path: '/a/b/-', value: 1 },
+      { op: 'add', path: '/a/c', value: 2 },
+      { op: 'move', from: '/a/c', path: '/a/b/0' },
+      { op: 'remove', path: '/a/b/1' },
+      { op: 'copy', from: '/a/b', path: '/d' },
+    ],
+    [
+      { op: 'add', path: '/a', value: { b: [2] } },
+      { op: 'add', path: '/d', value: [2] },
+    ]
+  );
+
+  // Operations within a value that gets replaced or removed later
+  assertCompacts(
+    { a: { b: [1] }, c: 'c' },
+    [
+      { op: 'add', path: '/a/b/0', value: 0 },
+      { op: 'move', from: '/c', path: '/a/c' },
+      { op: 'replace', path: '/a', value: null },
+    ],
+    [
+      { op: 'remove', path: '/c' },
+      { op: 'replace', path: '/a', value: null },
+    ]
+  );
+
+  // Removal followed by an addition
+  assertCompacts(
+    { a: [1, 2] },
+    [
+      { op: 'remove', path: '/a/1' },
+      { op: 'add', path: '/a/1', value: 3 },
+    ],
+    [{ op: 'replace', path: '/a/1', value: 3 }]
+  );
+
+  // An insertion may shift the index of what comes after
+  assertCompacts(
+    { a: [1, 2] },
+    [
+      { op: 'replace', path: '/a/1', value: 3 },
+      { op: 'add', path: '/a/0', value: 0 },
+      { op: 'replace', path: '/a/1', value: 4 },
+    ],
+    [
+      { op: 'replace', path: '/a/1', value: 3 },
+      { op: 'add', path: '/a/0', value: 0 },
+      { op: 'replace', path: '/a/1', value: 4 },
+    ]
+  );
+
+  // An addition may have overwritten a member, which the removal then removes
+  assertCompacts(
+    { a: 1 },
+    [
+      { op: 'add', path: '/a', value: 2 },
+      { op: 'remove', path: '/a' },
+    ],
+    [
+      { op: 'add', path: '/a', value: 2 },
+      { op: 'remove', path: '/a' },
+    ]
+  );
+}
+{
+  const document = { a: 1, b: [] };
+  const patch = [
+    { op: 'add', path: '/draft', value: 'x' },
+    { op: 'move', from: '/a', path: '/b/0' },
+    { op: 'remove', path: '/draft' },
+    { op: 'move', from: '/b/0', path: '/c' },
+    { op: 'copy', from: '/c', path: '/d' },
+    { op: 'remove', path: '/d' },
+  ];
+
+  const compacted = compactPatch(patch, document);
+
+  assert.deepStrictEqual(compacted, [{ op: 'move', from: '/a', path: '/c' }]);
+  assert.deepStrictEqual(
+    applyPatch(document, compacted),
+    applyPatch(document, patch)
+  );
+}
+assert.deepStrictEqual(
+  compactPatch([{ op: 'move', from: '/x', path: '/x' }], {}),
+  []
+);
+{
+  // Long patches don't take long to compact
+  const patch = [];
+  for (let i = 0; i < 3000; ++i) {
+    patch.push({ op: 'add', path: `/k${i}`, value: i });
+  }
+  patch.push({ op: 'replace', path: '/k2999', value: 0 });
+
+  const compacted = compactPatch(patch, {});
+
+  assert.strictEqual(compacted.length, 3000);
+  assert.deepStrictEqual(applyPatch({}, compacted), applyPatch({}, patch));
+}
+assert.throws(() => {
+  compactPatch([{ op: 'add', path: '/a' }]);
+}, { code: 'MISSING_VALUE' });
+
+// Transforming patches
+//
+// Rebasing either patch onto the other must lead to the same document,
+// whichever of them was applied first.
+{
+  const assertConverges = (document, patchA, patchB, expected) => {
+    const rebasedPatchB = transformPatch(patchA, patchB, document);
+    const rebasedPatchA = transformPatch(patchB, patchA, document, {
+      priority: 'b',
+    });
+
+    const viaA = applyPatch(applyPatch(document, patchA), rebasedPatchB);
+    const viaB = applyPatch(applyPatch(document, patchB), rebasedPatchA);
+
+    assert.deepStrictEqual(viaA, expected);
+    assert.deepStrictEqual(viaB, expected);
+  };
+
+  // Shifting array indices
+  assertConverges(
+    { a: ['x', 'y', 'z'] },
+    [{ op: 'remove', path: '/a/0' }],
+    [{ op: 'replace', path: '/a/2', value: 'Z' }],
+    { a: ['y', 'Z'] }
+  );
+  assertConverges(
+    { a: ['x', 'y', 'z'] },
+    [{ op: 'add', path: '/a/1', value: 'w' }],
+    [{ op: 'remove', path: '/a/1' }, { op: 'add', path: '/a/-', value: 'v' }],
+    { a: ['x', 'w', 'z', 'v'] }
+  );
+
+  // Concurrent insertions at the same index keep the first patch's first
+  assertConverges(
+    { a: [] },
+    [{ op: 'add', path: '/a/-', value: 1 }],
+    [{ op: 'add', path: '/a/0', value: 2 }],
+    { a: [1, 2] }
+  );
+
+  // Numeric keys of objects are not indices
+  assertConverges(
+    { a: { 1: 'x', 2: 'y' } },
+    [{ op: 'remove', path: '/a/1' }],
+    [{ op: 'replace', path: '/a/2', value: 'Y' }],
+    { a: { 2: 'Y' } }
+  );
+
+  // Following moved values
+  assertConverges(
+    { a: { b: { c: 1 } }, d: [] },
+    [{ op: 'move', from: '/a/b', path: '/d/0' }],
+    [{ op: 'replace', path: '/a/b/c', value: 2 }],
+    { a: {}, d: [{ c: 2 }] }
+  );
+  assertConverges(
+    { a: [1, 2, 3, 4] },
+    [{ op: 'move', from: '/a/0', path: '/a/2' }],
+    [{ op: 'add', path: '/a/1', value: 'x' }, { op: 'remove', path: '/a/3' }],
+    { a: ['x', 2, 1, 4] }
+  );
+
+  // Writing the same location
+  assertConverges(
+    { a: 1 },
+    [{ op: 'replace', path: '/a', value: 2 }],
+    [{ op: 'replace', path: '/a', value: 3 }],
+    { a: 2 }
+  );
+  assertConverges(
+    { a: [1, 2] },
+    [{ op: 'replace', path: '/a/0', value: 3 }],
+    [{ op: 'remove', path: '/a/0' }],
+    { a: [3, 2] }
+  );
+
+  // Copying what the other patch changes copies it as it was
+  assertConverges(
+    { a: { b: 1 } },
+    [{ op: 'replace', path: '/a/b', value: 2 }],
+    [{ op: 'copy', from: '/a', path: '/c' }],
+    { a: { b: 2 }, c: { b: 1 } }
+  );
+}
+{
+  const dropped = [];
+
+  const rebased = transformPatch(
+    [{ op: 'remove', path: '/a' }, { op: 'replace', path: '/b', value: 1 }],
+    [
+      { op: 'add', path: '/a/c', value: 1 },
+      { op: 'remove', path: '/b' },
+      { op: 'test', path: '/d', value: 0 },
+    ],
+    { a: {}, b: 0, d: 0 },
+    { dropped }
+  );
+
+  assert.deepStrictEqual(rebased, [{ op: 'test', path: '/d', value: 0 }]);
+  assert.deepStrictEqual(dropped, [
+    { operation: { op: 'add', path: '/a/c', value: 1 }, reason: 'orphaned' },
+    { operation: { op: 'remove', path: '/b' }, reason: 'overridden' },
+  ]);
+}
+assert.throws(() => {
+  transformPatch({}, [], {});
+}, { code: 'INVALID_PATCH' });
+assert.throws(() => {
+  transformPatch([], [{ op: 'remove', path: '/0' }]);
+}, { code: 'INVALID_OPTIONS' });
+
+// Custom operations
+{
+  const { applyPatch: applyCustomPatch } = createPatcher({
+    operations: {
+      increment: (document, pointer, operation, { get, replace }) =>
+        replace(document, pointer, get(document, pointer) + operation.value),
+      'str-insert': (document, pointer, operation, { get, replace }) => {
+        const text = get(document, pointer);
+        return replace(
+          document,
+          pointer,
+          text.slice(0, operation.index) + operation.text + text.slice(operation.index)
+        );
+      },
+      'append-unique': (document, pointer, operation, { get, add }) =>
+        get(document, pointer).includes(operation.value)
+          ? document
+          : add(document, `${pointer.path}/-`, operation.value),
+      fail: () => {
+        throw new JsonPatchError('nope', 'NOPE');
+      },
+    },
+  });
+
+  const original = { count: 1, text: 'hllo', tags: ['a'] };
+
+  const modified = applyCustomPatch(original, [
+    { op: 'increment', path: '/count', value: 2 },
+    { op: 'str-insert', path: '/text', index: 1, text: 'e' },
+    { op: 'append-unique', path: '/tags', value: 'a' },
+    { op: 'append-unique', path: '/tags', value: 'b' },
+    { op: 'add', path: '/new', value: true },
+  ]);
+
+  assert.deepStrictEqual(modified, {
+    count: 3,
+    text: 'hello',
+    tags: ['a', 'b'],
+    new: true,
+  });
+  assert.deepStrictEqual(original, { count: 1, text: 'hllo', tags: ['a'] });
+
+  // Custom operations are atomic with the rest, also in place
+  assert.throws(() => {
+    applyCustomPatch(original, [
+      { op: 'append-unique', path: '/tags', value: 'c' },
+      { op: 'increment', path: '/count', value: 1 },
+      { op: 'fail', path: '/count' },
+    ], { mutate: true });
+  }, { message: 'fail failed: nope', code: 'NOPE', operationIndex: 2, op: 'fail' });
+  assert.deepStrictEqual(original, { count: 1, text: 'hllo', tags: ['a'] });
+
+  assert.throws(() => {
+    applyCustomPatch(original, [{ op: 'increment', path: '/missing/count', value: 1 }]);
+  }, {
+    code: 'PATH_NOT_FOUND',
+    operationIndex: 0,
+    op: 'increment',
+    pointer: '/missing/count',
+  });
+
+  const trace = [];
+  applyCustomPatch(original, [
+    { op: 'increment', path: '/count', value: 1 },
+    { op: 'append-unique', path: '/tags', value: 'b' },
+  ], { trace });
+  assert.deepStrictEqual(trace.map(({ reads, writes }) => ({ reads, writes })), [
+    { reads: ['/count'], writes: ['/count'] },
+    { reads: ['/tags'], writes: ['/tags', '/tags/1'] },
+  ]);
+
+  // Other patches don't know about the custom operations
+  assert.throws(() => {
+    applyPatch(original, [{ op: 'increment', path: '/count', value: 1 }]);
+  }, { code: 'INVALID_OP' });
+}
+assert.throws(() => {
+  createPatcher({ operations: { add: () => null } });
+}, { code: 'INVALID_OPTIONS' });
+assert.throws(() => {
+  createPatcher({ operations: { increment: 1 } });
+}, { code: 'INVALID_OPTIONS' });
+
+// Observing patches
+//
+// Listeners get called with the changes to the locations they subscribed to.
+{
+  const observer = createObserver();
+  const calls = [];
+  const listen = (pattern) =>
+    observer.subscribe(pattern, (changes) => {
+      calls.push([pattern, changes]);
+    });
+
+  listen('/settings/theme');
+  listen('/items/*');
+  listen('/items/*/name');
+  const unsubscribe = listen('');
+
+  const original = {
+    settings: { theme: 'dark', size: 1 },
+    items: [{ name: 'a' }, { name: 'b' }],
+  };
+
+  let document = observer.applyPatch(original, [
+    { op: 'replace', path: '/settings/size', value: 2 },
+  ]);
+  assert.deepStrictEqual(calls, [
+    [
+      '',
+      [
+        {
+          pointer: '',
+          oldValue: original,
+          newValue: { settings: { theme: 'dark', size: 2 }, items: original.items },
+        },
+      ],
+    ],
+  ]);
+
+  unsubscribe();
+  calls.length = 0;
+
+  // Inserting shifts the items after it
+  document = observer.applyPatch(document, [
+    { op: 'add', path: '/items/1', value: { name: 'c' } },
+  ]);
+  assert.deepStrictEqual(calls, [
+    [
+      '/items/*',
+      [
+        { pointer: '/items/1', oldValue: { name: 'b' }, newValue: { name: 'c' } },
+        { pointer: '/items/2', oldValue: undefined, newValue: { name: 'b' } },
+      ],
+    ],
+    [
+      '/items/*/name',
+      [
+        { pointer: '/items/1/name', oldValue: 'b', newValue: 'c' },
+        { pointer: '/items/2/name', oldValue: undefined, newValue: 'b' },
+      ],
+    ],
+  ]);
+  calls.length = 0;
+
+  // Replacing an ancestor changes what's within it
+  document = observer.applyPatch(document, [
+    { op: 'replace', path: '/settings', value: { theme: 'light' } },
+    { op: 'test', path: '/items/0/name', value: 'a' },
+  ]);
+  assert.deepStrictEqual(calls, [
+    ['/settings/theme', [{ pointer: '/settings/theme', oldValue: 'dark', newValue: 'light' }]],
+  ]);
+  calls.length = 0;
+
+  // Both sides of a move change
+  document = observer.applyPatch(document, [
+    { op: 'move', from: '/items/2/name', path: '/settings/theme' },
+  ]);
+  assert.deepStrictEqual(calls, [
+    ['/settings/theme', [{ pointer: '/settings/theme', oldValue: 'light', newValue: 'b' }]],
+    ['/items/*', [{ pointer: '/items/2', oldValue: { name: 'b' }, newValue: {} }]],
+    ['/items/*/name', [{ pointer: '/items/2/name', oldValue: 'b', newValue: undefined }]],
+  ]);
+  calls.length = 0;
+
+  // Nothing changes when values end up the same
+  document = observer.applyPatch(document, [
+    { op: 'replace', path: '/settings/theme', value: 'b' },
+    { op: 'remove', path: '/items/0' },
+    { op: 'add', path: '/items/0', value: { name: 'a' } },
+  ]);
+  assert.deepStrictEqual(calls, []);
+
+  // Copying reads from its source and writes only to its target
+  document = observer.applyPatch(document, [
+    { op: 'copy', from: '/items/0', path: '/items/-' },
+  ]);
+  assert.deepStrictEqual(calls, [
+    ['/items/*', [{ pointer: '/items/3', oldValue: undefined, newValue: { name: 'a' } }]],
+    ['/items/*/name', [{ pointer: '/items/3/name', oldValue: undefined, newValue: 'a' }]],
+  ]);
+
+  assert.deepStrictEqual(original, {
+    settings: { theme: 'dark', size: 1 },
+    items: [{ name: 'a' }, { name: 'b' }],
+  });
+
+  assert.throws(() => {
+    observer.applyPatch(document, [], { mutate: true });
+  }, { code: 'INVALID_OPTIONS' });
+  assert.throws(() => {
+    observer.subscribe('/a', null);
+  }, { code: 'INVALID_OPTIONS' });
+  assert.throws(() => {
+    observer.subscribe('a', () => {});
+  }, { code: 'INVALID_POINTER' });
+}
+{
+  // Custom operations are known to have changed what's within their path
+  const observer = createObserver({
+    operations: {
+      increment: (document, pointer, operation, { get, replace }) =>
+        replace(document, pointer, get(document, pointer) + 1),
+    },
+  });
+  const calls = [];
+  observer.subscribe('/counts/*', (changes) => {
+    calls.push(changes);
+  });
+
+  observer.applyPatch({ counts: { a: 1, b: 1 } }, [
+    { op: 'increment', path: '/counts/b' },
+  ]);
+  assert.deepStrictEqual(calls, [[{ pointer: '/counts/b', oldValue: 1, newValue: 2 }]]);
+}
+{
+  // What custom operations write through their helpers gets noticed wherever
+  // it is, and "-" in their path stands for the index it was at
+  const observer = createObserver({
+    operations: {
+      touch: (document, pointer, operation, { replace }) =>
+        replace(document, operation.target, 'pwned'),
+      push: (document, pointer, operation) => ({
+        ...document,
+        items: [...document.items, operation.value],
+      }),
+    },
+  });
+  const calls = [];
+  observer.subscribe('/billing', (changes) => {
+    calls.push(changes);
+  });
+  observer.subscribe('/items/*', (changes) => {
+    calls.push(changes);
+  });
+
+  observer.applyPatch({ profile: {}, billing: 1, items: ['a'] }, [
+    { op: 'touch', path: '/profile', target: '/billing' },
+    { op: 'push', path: '/items/-', value: 'b' },
+  ]);
+  assert.deepStrictEqual(calls, [
+    [{ pointer: '/billing', oldValue: 1, newValue: 'pwned' }],
+    [{ pointer: '/items/1', oldValue: undefined, newValue: 'b' }],
+  ]);
+}
+
+// Streaming patches
+{
+  const patches = [
+    [{ op: 'add', path: '/items', value: [] }],
+    [
+      { op: 'add', path: '/items/-', value: 'é' },
+      { op: 'add', path: '/items/-', value: 'b' },
+    ],
+    [{ op: 'replace', path: '/items/0', value: 'a' }],
+    [{ op: 'add', path: '/count', value: 2 }],
+  ];
+  const expected = { items: ['a', 'b'], count: 2 };
+
+  let ndjson = '';
+  for await (const line of serializePatchStream(patches)) {
+    ndjson += line;
+  }
+  assert.strictEqual(ndjson.split('\n').length, patches.length + 1);
+
+  // Chunks may split lines, and even characters, anywhere
+  const bytes = Buffer.from(ndjson);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 7) {
+    chunks.push(bytes.subarray(i, i + 7));
+  }
+
+  const original = {};
+  assert.deepStrictEqual(await applyPatchStream(original, Readable.from(chunks)), expected);
+  assert.deepStrictEqual(original, {});
+
+  assert.deepStrictEqual(
+    await applyPatchStream({}, new Blob([ndjson.replace(/\n/g, '\r\n\n')]).stream()),
+    expected
+  );
+  assert.deepStrictEqual(await applyPatchStream({}, [ndjson.slice(0, -1)]), expected);
+  assert.deepStrictEqual(await applyPatchStream({}, patches.flat()), expected);
+  assert.deepStrictEqual(
+    await applyPatchStream({}, Readable.from(patches, { objectMode: true })),
+    expected
+  );
+
+  const document = {};
+  await applyPatchStream(document, [ndjson], { mutate: true });
+  assert.deepStrictEqual(document, expected);
+
+  const checkpoints = [];
+  await applyPatchStream({}, [ndjson], {
+    checkpointEvery: 2,
+    onCheckpoint: async (checkpoint) => {
+      await null;
+      checkpoints.push(checkpoint);
+    },
+  });
+  assert.deepStrictEqual(checkpoints, [
+    { document: { items: ['é', 'b'] }, line: 2, operationCount: 3 },
+    { document: expected, line: 4, operationCount: 5 },
+  ]);
+
+  await assert.rejects(
+    applyPatchStream({}, [`${ndjson}\n[{"op":"remove","path":"/nope"}]\n`]),
+    {
+      message: 'line 6: remove failed: pointer does not lead anywhere',
+      code: 'PATH_NOT_FOUND',
+      line: 6,
+      operationIndex: 0,
+    }
+  );
+  await assert.rejects(applyPatchStream({}, ['[]\n', '{"op":', '\n']), {
+    message: 'line 2: bad patch: should be JSON, was "{\\"op\\":"',
+    code: 'INVALID_PATCH',
+    line: 2,
+  });
+  await assert.rejects(applyPatchStream({}, [[], 1]), {
+    code: 'INVALID_PATCH',
+    line: 2,
+  });
+  await assert.rejects(applyPatchStream({}, {}), { code: 'INVALID_PATCH' });
+  await assert.rejects(applyPatchStream({}, [], { checkpointEvery: 0 }), {
+    code: 'INVALID_OPTIONS',
+  });
+  await assert.rejects(applyPatchStream({}, [], { checkpointEvery: 1 }), {
+    code: 'INVALID_OPTIONS',
+  });
+  await assert.rejects(serializePatchStream([{ op: 'remove', path: '' }]).next(), {
+    code: 'INVALID_PATCH',
+  });
+}
+
+// Command line
+{
+  const directory = mkdtempSync(join(tmpdir(), 'minimal-json-patch-'));
+  const write = (name, value) => {
+    const file = join(directory, name);
+    writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value));
+    return file;
+  };
+  const run = (args, input = '') =>
+    spawnSync(process.execPath, ['bin/minimal-json-patch.js', ...args], {
+      input,
+      encoding: 'utf8',
+    });
+
+  try {
+    const document = write('document.json', { a: 1, b: [1, 2] });
+    const patch = write('patch.json', [
+      { op: 'add', path: '/b/-', value: 3 },
+      { op: 'remove', path: '/a' },
+    ]);
+
+    let result = run(['apply', document, patch]);
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { b: [1, 2, 3] });
+
+    // A missing last file or `-` is read from standard input
+    result = run(['apply', document], JSON.stringify([{ op: 'remove', path: '/b/0' }]));
+    assert.deepStrictEqual(JSON.parse(result.stdout), { a: 1, b: [2] });
+    result = run(['apply', '-', patch], JSON.stringify({ a: 0, b: [] }));
+    assert.deepStrictEqual(JSON.parse(result.stdout), { b: [3] });
+
+    result = run(['test', document, patch]);
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, '');
+    result = run(['test', document], JSON.stringify([{ op: 'test', path: '/a', value: 2 }]));
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout + result.stderr, '');
+
+    result = run(['apply', document], JSON.stringify([{ op: 'remove', path: '/c' }]));
+    assert.strictEqual(result.status, 2);
+    assert.strictEqual(result.stdout, '');
+    assert.match(result.stderr, /^minimal-json-patch: remove failed/);
+    assert.match(result.stderr, /code: "PATH_NOT_FOUND"/);
+    assert.match(result.stderr, /operationIndex: 0/);
+
+    result = run(['validate', patch]);
+    assert.strictEqual(result.status, 0);
+    result = run(['validate'], JSON.stringify([{ op: 'add' }, { op: 'nope', path: '' }]));
+    assert.strictEqual(result.status, 3);
+    assert.match(result.stderr, /code: "MISSING_VALUE"/);
+    assert.match(result.stderr, /code: "INVALID_OP"/);
+    result = run(['apply', document], JSON.stringify({ op: 'add' }));
+    assert.strictEqual(result.status, 3);
+
+    result = run(['diff', document], JSON.stringify({ a: 1, b: [1] }));
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout), [{ op: 'remove', path: '/b/1' }]);
+
+    result = run(['apply', write('broken.json', '{'), patch]);
+    assert.strictEqual(result.status, 4);
+    assert.match(result.stderr, /broken\.json is not JSON/);
+    result = run(['apply', join(directory, 'missing.json'), patch]);
+    assert.strictEqual(result.status, 4);
+
+    assert.strictEqual(run([]).status, 5);
+    assert.strictEqual(run(['frobnicate']).status, 5);
+    assert.strictEqual(run(['validate', patch, patch]).status, 5);
+    assert.strictEqual(run(['apply', '-', '-']).status, 5);
+    assert.strictEqual(run(['--help']).status, 0);
+  } finally {
+    rmSync(directory, { recursive: true });
+  }
+}
+
+// HTTP PATCH
+//
+// Requests go through a local server to an in-memory store.
+{
+  const documents = new Map([['/doc', { name: 'ann', tags: ['a'] }]]);
+  const store = {
+    load: async (key) => {
+      if (key === '/broken') {
+        throw new Error('down');
+      }
+      return documents.get(key);
+    },
+    save: async (key, document) => {
+      documents.set(key, document);
+    },
+  };
+
+  const errors = [];
+  const handler = createPatchHandler({
+    store,
+    schema: { required: ['name'] },
+    maxBodySize: 1000,
+    onError: (error, request) => errors.push([error.message, request.url]),
+  });
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const send = async (body, { path = '/doc', method = 'PATCH', type = 'application/json-patch+json', headers = {} } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': type, ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  try {
+    const etag = computeETag(documents.get('/doc'));
+    assert.match(etag, /^"[0-9a-f]{16}"$/);
+    assert.strictEqual(computeETag({ b: [1], a: null }), computeETag({ a: null, b: [1] }));
+    assert.notStrictEqual(computeETag({ a: 1 }), computeETag({ a: '1' }));
+
+    let response = await send([{ op: 'add', path: '/tags/-', value: 'b' }], { headers: { 'If-Match': etag } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { name: 'ann', tags: ['a', 'b'] });
+    assert.deepStrictEqual(documents.get('/doc'), { name: 'ann', tags: ['a', 'b'] });
+    const newETag = response.headers.get('ETag');
+    assert.strictEqual(newETag, computeETag(documents.get('/doc')));
+
+    // The old ETag doesn't match anymore, while a weak one never does
+    for (const ifMatch of [etag, `W/${newETag}`, '"x"']) {
+      response = await send([], { headers: { 'If-Match': ifMatch } });
+      assert.strictEqual(response.status, 412, ifMatch);
+      assert.strictEqual(response.headers.get('ETag'), newETag);
+    }
+    for (const ifMatch of [`"x", ${newETag}`, '*']) {
+      response = await send([], { headers: { 'If-Match': ifMatch } });
+      assert.strictEqual(response.status, 200, ifMatch);
+    }
+
+    response = await send({ tags: null, age: 30 }, { type: 'application/merge-patch+json; charset=utf-8' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(documents.get('/doc'), { name: 'ann', age: 30 });
+
+    response = await send([{ op: 'test', path: '/age', value: 31 }]);
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.code, 'TEST_FAILED');
+    assert.strictEqual(response.body.operationIndex, 0);
+
+    for (const patch of [[{ op: 'remove', path: '/missing' }], [{ op: 'remove', path: '/name' }]]) {
+      response = await send(patch);
+      assert.strictEqual(response.status, 422, JSON.stringify(patch));
+    }
+    response = await send({ name: null }, { type: 'application/merge-patch+json' });
+    assert.strictEqual(response.status, 422);
+    assert.strictEqual(response.body.code, 'SCHEMA_VIOLATION');
+
+    for (const body of ['[{', '{}', [{ op: 'add', path: '/a' }], [{ op: 'nope', path: '' }]]) {
+      response = await send(body);
+      assert.strictEqual(response.status, 400, JSON.stringify(body));
+    }
+    response = await send('{', { type: 'application/merge-patch+json' });
+    assert.strictEqual(response.status, 400);
+
+    response = await send([], { type: 'application/json' });
+    assert.strictEqual(response.status, 415);
+    assert.strictEqual(
+      response.headers.get('Accept-Patch'),
+      'application/json-patch+json, application/merge-patch+json'
+    );
+
+    response = await send([], { path: '/other' });
+    assert.strictEqual(response.status, 404);
+
+    response = await send([], { method: 'PUT' });
+    assert.strictEqual(response.status, 405);
+    assert.strictEqual(response.headers.get('Allow'), 'PATCH');
+
+    response = await send([{ op: 'add', path: '/bio', value: 'x'.repeat(1000) }]);
+    assert.strictEqual(response.status, 413);
+
+    // Errors from the store don't take the server down
+    for (let i = 0; i < 2; ++i) {
+      response = await send([], { path: '/broken' });
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(response.body, { message: 'internal error' });
+    }
+    assert.deepStrictEqual(errors, [['down', '/broken'], ['down', '/broken']]);
+
+    // Nothing that failed got saved
+    assert.deepStrictEqual(documents.get('/doc'), { name: 'ann', age: 30 });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  // Without a server, with headers in any case and a parsed body
+  const result = await handlePatchRequest(
+    {
+      method: 'patch',
+      headers: { 'CONTENT-TYPE': 'application/json-patch+json' },
+      body: [{ op: 'replace', path: '/age', value: 31 }],
+      key: '/doc',
+    },
+    { store, limits: { maxOperations: 1 } }
+  );
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(JSON.parse(result.body), { name: 'ann', age: 31 });
+  assert.strictEqual(result.headers.ETag, computeETag({ age: 31, name: 'ann' }));
+
+  // As middleware, anything but PATCH and errors from the store go on to next
+  const failing = createPatchHandler({
+    store: { load: async () => { throw new Error('down'); }, save: async () => {} },
+  });
+  const passedOn = [];
+  await failing({ method: 'GET' }, {}, (...args) => passedOn.push(args));
+  await failing(
+    { method: 'PATCH', url: '/doc', headers: { 'content-type': 'application/json-patch+json' }, body: [] },
+    {},
+    (...args) => passedOn.push(args)
+  );
+  assert.strictEqual(passedOn.length, 2);
+  assert.deepStrictEqual(passedOn[0], []);
+  assert.strictEqual(passedOn[1][0].message, 'down');
+
+  assert.throws(() => {
+    createPatchHandler({ store: {} });
+  }, { code: 'INVALID_OPTIONS' });
+  assert.throws(() => {
+    createPatchHandler({ store, maxBodySize: -1 });
+  }, { code: 'INVALID_OPTIONS' });
+
+  const request = {
+    headers: { 'content-type': 'application/json-patch+json' },
+    body: '[{ "op": "add", "path": "/tags", "value": [] }]',
+    key: '/doc',
+  };
+
+  assert.strictEqual((await handlePatchRequest(request, { store, maxBodySize: 10 })).status, 413);
+
+  // Bad options are no fault of the patch
+  await assert.rejects(handlePatchRequest(request, { store, limits: null }), { code: 'INVALID_OPTIONS' });
+
+  // A store that refuses to save over a change made since loading gets the
+  // patch applied again to the document as it is now
+  let changes = 1;
+  const racingStore = {
+    load: store.load,
+    save: async (key, document, { etag }) => {
+      if (changes > 0) {
+        --changes;
+        documents.set(key, { ...documents.get(key), age: documents.get(key).age + 1 });
+      }
+      if (etag !== computeETag(documents.get(key))) {
+        return false;
+      }
+      documents.set(key, document);
+    },
+  };
+
+  let response = await handlePatchRequest(request, { store: racingStore });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(documents.get('/doc'), { name: 'ann', age: 32, tags: [] });
+
+  changes = 1;
+  const etag = computeETag(documents.get('/doc'));
+  response = await handlePatchRequest(
+    { ...request, headers: { ...request.headers, 'if-match': etag } },
+    { store: racingStore }
+  );
+  assert.strictEqual(response.status, 412);
+
+  changes = Infinity;
+  response = await handlePatchRequest(request, { store: racingStore });
+  assert.strictEqual(response.status, 409);
+}
+
 console.debug('ok')
\ No newline at end of file